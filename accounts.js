@@ -0,0 +1,369 @@
+const express = require('express');
+const crypto = require('crypto');
+const { getTodayDateStr, isValidDateStr } = require('./puzzle-date.js');
+const { sendMail } = require('./mail-sink.js');
+const { CLUES_PER_GAME } = require('./content.js');
+
+// Optional player accounts, so daily stats follow a player between devices. Players sign
+// up with a username and password, or sign in with a link sent to their email (which makes
+// an account on first use). Signed-in requests send `Authorization: Bearer <session token>`.
+//
+// An email only becomes part of an account once a link sent to it has been used, so nobody
+// can claim someone else's address and then receive their sign-in links.
+//
+// Stats stay in localStorage as before; /sync merges a device's results with the account's
+// copy, one puzzle date at a time (see mergeResults).
+
+const SESSION_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const LOGIN_LINK_TTL_MS = 15 * 60 * 1000;
+const USERNAME_REGEX = /^[A-Za-z0-9_-]{3,24}$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_SYNC_RESULTS = 5000;
+// Attempts allowed per RATE_LIMIT_WINDOW_MS: for each username (sign-in) or email (links),
+// and for each client IP across sign-in, sign-up and links. Behind a proxy the IP is the
+// proxy's unless Express's 'trust proxy' setting is configured.
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS_PER_ACCOUNT = 10;
+const MAX_LINKS_PER_EMAIL = 3;
+const MAX_ATTEMPTS_PER_IP = 30;
+
+function newToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Stored as "scrypt$<salt hex>$<hash hex>"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, hash) => err ? reject(err) : resolve(`scrypt$${salt.toString('hex')}$${hash.toString('hex')}`));
+    });
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return Promise.resolve(false);
+    const expected = Buffer.from(hashHex, 'hex');
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (err, hash) => {
+            err ? reject(err) : resolve(crypto.timingSafeEqual(hash, expected));
+        });
+    });
+}
+
+function publicUser(user) {
+    return { username: user.username, email: user.email || null };
+}
+
+async function createSession(db, userId) {
+    const token = newToken();
+    await db.runAsync("INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)",
+        [hashToken(token), userId, new Date(Date.now() + SESSION_TTL_MS).toISOString()]);
+    return token;
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+}
+
+// A free username based on an email address ("jo.smith@..." -> "josmith", "josmith2", ...)
+async function usernameForEmail(db, email) {
+    const base = (email.split('@')[0].replace(/[^A-Za-z0-9_-]/g, '') || 'player').slice(0, 20);
+    for (let suffix = 1; ; suffix++) {
+        const username = suffix === 1 ? base : `${base}${suffix}`;
+        if (!await db.getAsync("SELECT id FROM users WHERE username = ?", [username])) return username;
+    }
+}
+
+// --- Results sync ---
+// Client results look like { "yyyy-MM-dd": { puzzleNumber, won, clues, hardMode, playedAt } }.
+
+function isValidResult(date, result) {
+    return isValidDateStr(date) && date <= getTodayDateStr()
+        && result && typeof result === 'object'
+        && typeof result.won === 'boolean'
+        && Number.isInteger(result.clues) && result.clues >= 1 && result.clues <= CLUES_PER_GAME
+        && (result.hardMode === undefined || typeof result.hardMode === 'boolean')
+        && (result.puzzleNumber === undefined || result.puzzleNumber === null || (Number.isInteger(result.puzzleNumber) && result.puzzleNumber > 0))
+        && (result.playedAt === undefined || result.playedAt === null || !Number.isNaN(Date.parse(result.playedAt)));
+}
+
+// A puzzle only counts once, so when both copies have a date the first finished play wins.
+// Results without a playedAt were recorded before it was tracked, so they count as earliest.
+// When neither copy can be told apart that way, the account's copy is kept.
+function isPlayedEarlier(result, other) {
+    if (!result.playedAt) return !!other.playedAt;
+    return !!other.playedAt && Date.parse(result.playedAt) < Date.parse(other.playedAt);
+}
+
+// Returns the dates of `localResults` that should replace (or add to) `serverResults`
+function mergeResults(serverResults, localResults) {
+    return Object.keys(localResults).filter(date => !serverResults[date] || isPlayedEarlier(localResults[date], serverResults[date]));
+}
+
+// Fixed-window attempt counter kept in memory: isLimited(key) counts an attempt for `key`
+// and says whether it went over `limit` in the current window
+function createRateLimiter({ limit, windowMs }) {
+    const windows = new Map();
+    return function isLimited(key) {
+        const now = Date.now();
+        if (windows.size > 10000) {
+            windows.forEach((window, windowKey) => { if (window.resetAt <= now) windows.delete(windowKey); });
+        }
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        window.count++;
+        return window.count > limit;
+    };
+}
+
+async function loadUserResults(db, userId) {
+    const rows = await db.allAsync("SELECT * FROM user_results WHERE user_id = ? ORDER BY puzzle_date ASC", [userId]);
+    const results = {};
+    rows.forEach(row => {
+        results[row.puzzle_date] = {
+            puzzleNumber: row.puzzle_number,
+            won: !!row.won,
+            clues: row.clues,
+            hardMode: !!row.hard_mode,
+            playedAt: row.played_at
+        };
+    });
+    return results;
+}
+
+// `publicBaseUrl` is where emailed links point (null disables them)
+function createAccountRouter(db, { mailDir, publicBaseUrl }) {
+    const router = express.Router();
+    const ipLimiter = createRateLimiter({ limit: MAX_ATTEMPTS_PER_IP, windowMs: RATE_LIMIT_WINDOW_MS });
+    const accountLimiter = createRateLimiter({ limit: MAX_ATTEMPTS_PER_ACCOUNT, windowMs: RATE_LIMIT_WINDOW_MS });
+    const emailLimiter = createRateLimiter({ limit: MAX_LINKS_PER_EMAIL, windowMs: RATE_LIMIT_WINDOW_MS });
+
+    // Sends a 429 and returns true when the client IP or `key` (in `limiter`) is over its limit
+    function rejectIfLimited(req, res, limiter, key) {
+        const limited = ipLimiter(req.ip);
+        if (!limited && !(limiter && limiter(key.toLowerCase()))) return false;
+        console.warn(`[ACCOUNT_WARN] Rate limited ${req.path} for ${limited ? `IP ${req.ip}` : `"${key}"`}.`);
+        res.set('Retry-After', String(RATE_LIMIT_WINDOW_MS / 1000));
+        res.status(429).json({ error: "Too many attempts. Please try again in a few minutes." });
+        return true;
+    }
+
+    // Mails a one-time link to `email`. With `userId` it confirms the email for that
+    // account; without, it signs in to the email's account.
+    async function sendEmailLink(email, userId = null) {
+        const token = newToken();
+        await db.runAsync("INSERT INTO login_links (token_hash, email, user_id, expires_at) VALUES (?, ?, ?, ?)",
+            [hashToken(token), email, userId, new Date(Date.now() + LOGIN_LINK_TTL_MS).toISOString()]);
+        const link = `${publicBaseUrl.replace(/\/+$/, '')}/?login=${token}`;
+        const minutes = LOGIN_LINK_TTL_MS / 60000;
+        await sendMail(mailDir, userId ? {
+            to: email,
+            subject: "Confirm your email for Steamdle",
+            text: `Confirm this email for your Steamdle account and sign in with this link (valid for ${minutes} minutes):\n${link}\n\nIf you didn't ask for this, you can ignore this email.`
+        } : {
+            to: email,
+            subject: "Your Steamdle sign-in link",
+            text: `Sign in to Steamdle with this link (valid for ${minutes} minutes):\n${link}\n\nIf you didn't ask for this, you can ignore this email.`
+        });
+    }
+
+    function rejectIfLinksDisabled(res) {
+        if (publicBaseUrl) return false;
+        console.error("[ACCOUNT_ERROR] PUBLIC_BASE_URL is not set, so emailed links can't be sent.");
+        res.status(503).json({ error: "Email links aren't available right now." });
+        return true;
+    }
+
+    async function requireUser(req, res, next) {
+        const token = bearerToken(req);
+        if (!token) return res.status(401).json({ error: "Sign in first." });
+        try {
+            const user = await db.getAsync(`SELECT u.id, u.username, u.email FROM user_sessions s JOIN users u ON u.id = s.user_id
+                    WHERE s.token_hash = ? AND s.expires_at > ?`, [hashToken(token), new Date().toISOString()]);
+            if (!user) return res.status(401).json({ error: "Your session has expired. Please sign in again." });
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to check session:", error.message);
+            res.status(500).json({ error: "Failed to check your session." });
+        }
+    }
+
+    // Body: { username, password, email? } -> 201 { token, user, emailConfirmationSent }.
+    // The email is added once the confirmation link mailed to it is used.
+    router.post('/register', async (req, res) => {
+        const { username, password } = req.body;
+        const email = typeof req.body.email === 'string' && req.body.email.trim() ? req.body.email.trim() : null;
+        if (typeof username !== 'string' || !USERNAME_REGEX.test(username)) {
+            return res.status(400).json({ error: "Usernames are 3-24 letters, digits, dashes or underscores." });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+        if (email && !EMAIL_REGEX.test(email)) {
+            return res.status(400).json({ error: "That email address doesn't look right." });
+        }
+        if (email && rejectIfLinksDisabled(res)) return;
+        if (rejectIfLimited(req, res, email ? emailLimiter : null, email || '')) return;
+        try {
+            const { lastID: userId } = await db.runAsync("INSERT INTO users (username, password_hash) VALUES (?, ?)",
+                [username, await hashPassword(password)]);
+            console.log(`[ACCOUNT_INFO] Registered user ID ${userId} ("${username}").`);
+            const emailConfirmationSent = !!email && await sendEmailLink(email, userId).then(() => true, error => {
+                console.error(`[ACCOUNT_ERROR] Failed to send the email confirmation for user ID ${userId}:`, error.message);
+                return false;
+            });
+            res.status(201).json({ token: await createSession(db, userId), user: { username, email: null }, emailConfirmationSent });
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ error: "That username is already taken." });
+            }
+            console.error("[ACCOUNT_ERROR] Failed to register:", error.message);
+            res.status(500).json({ error: "Failed to create the account." });
+        }
+    });
+
+    // Body: { username, password } -> { token, user }
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body;
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: "Username and password are required." });
+        }
+        if (rejectIfLimited(req, res, accountLimiter, username)) return;
+        try {
+            const user = await db.getAsync("SELECT * FROM users WHERE username = ?", [username]);
+            if (!user || !await verifyPassword(password, user.password_hash)) {
+                return res.status(401).json({ error: "Wrong username or password." });
+            }
+            res.json({ token: await createSession(db, user.id), user: publicUser(user) });
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to sign in:", error.message);
+            res.status(500).json({ error: "Failed to sign in." });
+        }
+    });
+
+    // Body: { email }. Mails a one-time sign-in link (<PUBLIC_BASE_URL>/?login=<token>). The
+    // response is the same whether or not the email has an account; one is made when the
+    // link is used.
+    router.post('/login-link', async (req, res) => {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        if (!EMAIL_REGEX.test(email)) {
+            return res.status(400).json({ error: "That email address doesn't look right." });
+        }
+        if (rejectIfLinksDisabled(res)) return;
+        if (rejectIfLimited(req, res, emailLimiter, email)) return;
+        try {
+            await sendEmailLink(email);
+            res.json({ ok: true });
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to send sign-in link:", error.message);
+            res.status(500).json({ error: "Failed to send the sign-in link." });
+        }
+    });
+
+    // Body: { token } from a sign-in or confirmation link -> { token, user }
+    router.post('/login-link/verify', async (req, res) => {
+        const token = typeof req.body.token === 'string' ? req.body.token : '';
+        try {
+            const link = await db.getAsync("SELECT * FROM login_links WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?",
+                [hashToken(token), new Date().toISOString()]);
+            if (!link) return res.status(401).json({ error: "This sign-in link has expired or was already used." });
+            await db.runAsync("UPDATE login_links SET used_at = ? WHERE token_hash = ?", [new Date().toISOString(), link.token_hash]);
+
+            let user = await db.getAsync("SELECT * FROM users WHERE email = ?", [link.email]);
+            if (link.user_id) {
+                if (user && user.id !== link.user_id) {
+                    return res.status(409).json({ error: "That email is already used by another account." });
+                }
+                await db.runAsync("UPDATE users SET email = ? WHERE id = ?", [link.email, link.user_id]);
+                user = await db.getAsync("SELECT * FROM users WHERE id = ?", [link.user_id]);
+                if (!user) return res.status(401).json({ error: "The account for this link no longer exists." });
+                console.log(`[ACCOUNT_INFO] Confirmed the email of user ID ${user.id}.`);
+            } else if (!user) {
+                const username = await usernameForEmail(db, link.email);
+                const { lastID: userId } = await db.runAsync("INSERT INTO users (username, email) VALUES (?, ?)", [username, link.email]);
+                console.log(`[ACCOUNT_INFO] Registered user ID ${userId} ("${username}") from a sign-in link.`);
+                user = { id: userId, username, email: link.email };
+            }
+            res.json({ token: await createSession(db, user.id), user: publicUser(user) });
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to verify sign-in link:", error.message);
+            res.status(500).json({ error: "Failed to sign in." });
+        }
+    });
+
+    router.get('/me', requireUser, (req, res) => {
+        res.json({ user: publicUser(req.user) });
+    });
+
+    router.post('/logout', requireUser, async (req, res) => {
+        try {
+            await db.runAsync("DELETE FROM user_sessions WHERE token_hash = ?", [hashToken(bearerToken(req))]);
+            res.json({ ok: true });
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to sign out:", error.message);
+            res.status(500).json({ error: "Failed to sign out." });
+        }
+    });
+
+    router.get('/results', requireUser, async (req, res) => {
+        try {
+            res.json({ results: await loadUserResults(db, req.user.id) });
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to load results:", error.message);
+            res.status(500).json({ error: "Failed to load your results." });
+        }
+    });
+
+    // Body: { results } in the client's format. Merges them into the account per puzzle
+    // date and responds with the merged copy: { results, updated, skipped }. Invalid
+    // entries are skipped rather than failing the whole sync.
+    router.post('/sync', requireUser, async (req, res) => {
+        const localResults = req.body.results;
+        if (!localResults || typeof localResults !== 'object' || Array.isArray(localResults)) {
+            return res.status(400).json({ error: "results must be an object keyed by puzzle date." });
+        }
+        const dates = Object.keys(localResults);
+        if (dates.length > MAX_SYNC_RESULTS) {
+            return res.status(400).json({ error: `Too many results (at most ${MAX_SYNC_RESULTS}).` });
+        }
+        const validResults = {};
+        dates.filter(date => isValidResult(date, localResults[date])).forEach(date => { validResults[date] = localResults[date]; });
+
+        try {
+            const datesToSave = mergeResults(await loadUserResults(db, req.user.id), validResults);
+            await db.transaction(async tx => {
+                for (const date of datesToSave) {
+                    const result = validResults[date];
+                    await tx.runAsync(`INSERT INTO user_results (user_id, puzzle_date, puzzle_number, won, clues, hard_mode, played_at)
+                            VALUES (?, ?, ?, ?, ?, ?, ?)
+                            ON CONFLICT(user_id, puzzle_date) DO UPDATE SET puzzle_number = excluded.puzzle_number, won = excluded.won,
+                                clues = excluded.clues, hard_mode = excluded.hard_mode, played_at = excluded.played_at`,
+                        [req.user.id, date, result.puzzleNumber || null, result.won ? 1 : 0, result.clues, result.hardMode ? 1 : 0, result.playedAt || null]);
+                }
+            });
+            if (datesToSave.length > 0) console.log(`[ACCOUNT_INFO] Synced ${datesToSave.length} result(s) for user ID ${req.user.id}.`);
+            res.json({
+                results: await loadUserResults(db, req.user.id),
+                updated: datesToSave.length,
+                skipped: dates.length - Object.keys(validResults).length
+            });
+        } catch (error) {
+            console.error("[ACCOUNT_ERROR] Failed to sync results:", error.message);
+            res.status(500).json({ error: "Failed to sync your results." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAccountRouter };
@@ -0,0 +1,385 @@
+const express = require('express');
+const crypto = require('crypto');
+const { listSchedule, checkSchedulableDate, setScheduledGame, clearScheduledGame } = require('./schedule.js');
+const { CLUES_PER_GAME, isValidAliasList, setGameAliases, setGameTags } = require('./content.js');
+const { isValidTagList } = require('./tags.js');
+const { MIN_OUTCOMES_FOR_RATING, getGameDifficulties } = require('./difficulty.js');
+
+// Admin API for managing the game and review pool without editing db.js.
+// Every route requires `Authorization: Bearer <ADMIN_TOKEN>`; with no ADMIN_TOKEN
+// configured the whole API is disabled.
+
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: "Admin API is disabled. Set ADMIN_TOKEN to enable it." });
+    }
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    const expected = Buffer.from(adminToken);
+    const provided = Buffer.from(token);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        console.warn(`[ADMIN_WARN] Rejected unauthenticated admin request: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({ error: "Invalid or missing admin token." });
+    }
+    next();
+}
+
+function isValidAppId(appId) {
+    return typeof appId === 'string' && /^\d+$/.test(appId.trim());
+}
+
+function isValidReviewUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url.trim());
+}
+
+// Sends SQLite errors as JSON; UNIQUE violations (duplicate titles/URLs) become 409s
+function handleAdminError(res, error, action) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: `Could not ${action}: ${error.message.replace(/^SQLITE_CONSTRAINT: /, '')}` });
+    }
+    console.error(`[ADMIN_ERROR] Failed to ${action}:`, error.message);
+    res.status(500).json({ error: `Failed to ${action}.` });
+}
+
+// Writes 1..n into `column` following the order of `ids`. Every row in `scopeSql` must be listed.
+async function applyOrder(db, table, column, ids, scopeSql, scopeParams) {
+    const existing = await db.allAsync(`SELECT id FROM ${table} WHERE ${scopeSql}`, scopeParams);
+    const existingIds = existing.map(r => r.id).sort((a, b) => a - b);
+    const requestedIds = [...ids].sort((a, b) => a - b);
+    if (existingIds.length !== requestedIds.length || existingIds.some((id, i) => id !== requestedIds[i])) {
+        return false;
+    }
+    await db.transaction(async tx => {
+        for (let i = 0; i < ids.length; i++) {
+            await tx.runAsync(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [i + 1, ids[i]]);
+        }
+    });
+    return true;
+}
+
+// `onContentChanged` is called after every write so the server can drop cached puzzle data
+function createAdminRouter(db, { onContentChanged = () => {} } = {}) {
+    const router = express.Router();
+    router.use(requireAdmin);
+
+    // --- Games ---
+    router.get('/games', async (req, res) => {
+        try {
+            const games = await db.allAsync(`
+                SELECT g.id, g.title, g.steam_app_id, g.is_active, g.last_played_on, g.sort_order,
+                    g.release_year, g.genres, g.developer, g.price_tier,
+                    (SELECT COUNT(*) FROM game_reviews r WHERE r.game_id = g.id) AS review_count,
+                    (SELECT COUNT(*) FROM game_reviews r WHERE r.game_id = g.id AND r.scrape_status = 'ok') AS scraped_review_count
+                FROM games g ORDER BY g.sort_order IS NULL, g.sort_order ASC, g.title ASC`);
+            const aliases = await db.allAsync("SELECT game_id, alias FROM game_aliases ORDER BY id ASC");
+            const tags = await db.allAsync("SELECT game_id, tag FROM game_tags ORDER BY id ASC");
+            res.json(games.map(g => ({
+                ...g,
+                is_active: !!g.is_active,
+                aliases: aliases.filter(a => a.game_id === g.id).map(a => a.alias),
+                tags: tags.filter(t => t.game_id === g.id).map(t => t.tag)
+            })));
+        } catch (error) {
+            handleAdminError(res, error, "list games");
+        }
+    });
+
+    // Body: { title, steam_app_id, reviews, spare_reviews }, like a game in the content file:
+    // exactly CLUES_PER_GAME clue URLs and optionally some spares
+    router.post('/games', async (req, res) => {
+        const { title, steam_app_id: appId, reviews, spare_reviews: spareReviews = [] } = req.body;
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: "title is required." });
+        }
+        if (!isValidAppId(appId)) {
+            return res.status(400).json({ error: "steam_app_id must be a numeric string." });
+        }
+        if (!Array.isArray(reviews) || reviews.length !== CLUES_PER_GAME || !reviews.every(isValidReviewUrl)) {
+            return res.status(400).json({ error: `reviews must be an array of exactly ${CLUES_PER_GAME} http(s) review page URLs.` });
+        }
+        if (!Array.isArray(spareReviews) || !spareReviews.every(isValidReviewUrl)) {
+            return res.status(400).json({ error: "spare_reviews must be an array of http(s) review page URLs." });
+        }
+        const reviewUrls = [...reviews, ...spareReviews].map(url => url.trim());
+
+        try {
+            const gameId = await db.transaction(async tx => {
+                const { lastID } = await tx.runAsync("INSERT INTO games (title, steam_app_id, sort_order) VALUES (?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM games))",
+                    [title.trim(), appId.trim()]);
+                for (let i = 0; i < reviewUrls.length; i++) {
+                    await tx.runAsync("INSERT INTO game_reviews (game_id, review_page_url, clue_order) VALUES (?, ?, ?)", [lastID, reviewUrls[i], i + 1]);
+                }
+                return lastID;
+            });
+            console.log(`[ADMIN_INFO] Added game ID ${gameId} ("${title.trim()}") with ${reviewUrls.length} review(s).`);
+            onContentChanged();
+            res.status(201).json(await db.getAsync("SELECT * FROM games WHERE id = ?", [gameId]));
+        } catch (error) {
+            handleAdminError(res, error, "add game");
+        }
+    });
+
+    // Edits title, steam_app_id, is_active and/or the hint data (release_year, genres as an
+    // array, developer, price_tier; null clears one). Deactivated games are never picked as a new daily puzzle.
+    router.patch('/games/:id', async (req, res) => {
+        const updates = [];
+        const params = [];
+        if (req.body.title !== undefined) {
+            if (typeof req.body.title !== 'string' || !req.body.title.trim()) return res.status(400).json({ error: "title cannot be empty." });
+            updates.push("title = ?");
+            params.push(req.body.title.trim());
+        }
+        if (req.body.steam_app_id !== undefined) {
+            if (!isValidAppId(req.body.steam_app_id)) return res.status(400).json({ error: "steam_app_id must be a numeric string." });
+            updates.push("steam_app_id = ?");
+            params.push(req.body.steam_app_id.trim());
+        }
+        if (req.body.is_active !== undefined) {
+            if (typeof req.body.is_active !== 'boolean') return res.status(400).json({ error: "is_active must be true or false." });
+            updates.push("is_active = ?");
+            params.push(req.body.is_active ? 1 : 0);
+        }
+        if (req.body.release_year !== undefined) {
+            const year = req.body.release_year;
+            if (year !== null && !(Number.isInteger(year) && year >= 1970 && year <= 2100)) return res.status(400).json({ error: "release_year must be a year like 2011, or null." });
+            updates.push("release_year = ?");
+            params.push(year);
+        }
+        if (req.body.genres !== undefined) {
+            const genres = req.body.genres;
+            if (genres !== null && !(Array.isArray(genres) && genres.every(g => typeof g === 'string' && g.trim() && !g.includes(',')))) {
+                return res.status(400).json({ error: "genres must be an array of non-empty strings without commas, or null." });
+            }
+            updates.push("genres = ?");
+            params.push(genres && genres.length ? genres.map(g => g.trim()).join(', ') : null);
+        }
+        for (const field of ['developer', 'price_tier']) {
+            if (req.body[field] === undefined) continue;
+            const value = req.body[field];
+            if (value !== null && (typeof value !== 'string' || !value.trim())) return res.status(400).json({ error: `${field} must be a non-empty string, or null.` });
+            updates.push(`${field} = ?`);
+            params.push(value === null ? null : value.trim());
+        }
+        if (updates.length === 0) {
+            return res.status(400).json({ error: "Nothing to update." });
+        }
+
+        try {
+            const { changes } = await db.runAsync(`UPDATE games SET ${updates.join(', ')} WHERE id = ?`, [...params, req.params.id]);
+            if (changes === 0) return res.status(404).json({ error: "Game not found." });
+            console.log(`[ADMIN_INFO] Updated game ID ${req.params.id}: ${updates.join(', ')}`);
+            onContentChanged();
+            res.json(await db.getAsync("SELECT * FROM games WHERE id = ?", [req.params.id]));
+        } catch (error) {
+            handleAdminError(res, error, "update game");
+        }
+    });
+
+    // Body: { aliases: ["RE4", ...] }, replacing the game's accepted aliases
+    router.put('/games/:id/aliases', async (req, res) => {
+        const aliases = req.body.aliases;
+        if (!isValidAliasList(aliases)) {
+            return res.status(400).json({ error: "aliases must be an array of non-empty strings." });
+        }
+        try {
+            if (!await db.getAsync("SELECT id FROM games WHERE id = ?", [req.params.id])) {
+                return res.status(404).json({ error: "Game not found." });
+            }
+            await db.transaction(tx => setGameAliases(tx, req.params.id, aliases));
+            console.log(`[ADMIN_INFO] Set ${aliases.length} alias(es) for game ID ${req.params.id}.`);
+            onContentChanged();
+            const rows = await db.allAsync("SELECT alias FROM game_aliases WHERE game_id = ? ORDER BY id ASC", [req.params.id]);
+            res.json({ aliases: rows.map(r => r.alias) });
+        } catch (error) {
+            handleAdminError(res, error, "update aliases");
+        }
+    });
+
+    // Body: { tags: ["indie", "co-op", ...] }, replacing the tags set on the game (its genres
+    // and release decade count as tags too, see tags.js)
+    router.put('/games/:id/tags', async (req, res) => {
+        const tags = req.body.tags;
+        if (!isValidTagList(tags)) {
+            return res.status(400).json({ error: "tags must be an array of words like \"indie\" or \"co-op\"." });
+        }
+        try {
+            if (!await db.getAsync("SELECT id FROM games WHERE id = ?", [req.params.id])) {
+                return res.status(404).json({ error: "Game not found." });
+            }
+            await db.transaction(tx => setGameTags(tx, req.params.id, tags));
+            console.log(`[ADMIN_INFO] Set ${tags.length} tag(s) for game ID ${req.params.id}.`);
+            onContentChanged();
+            const rows = await db.allAsync("SELECT tag FROM game_tags WHERE game_id = ? ORDER BY id ASC", [req.params.id]);
+            res.json({ tags: rows.map(r => r.tag) });
+        } catch (error) {
+            handleAdminError(res, error, "update tags");
+        }
+    });
+
+    // Body: { ids: [gameId, ...] } listing every game in the new display order
+    router.put('/games/order', async (req, res) => {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+            return res.status(400).json({ error: "ids must be an array of game IDs." });
+        }
+        try {
+            if (!await applyOrder(db, 'games', 'sort_order', ids, '1 = 1', [])) {
+                return res.status(400).json({ error: "ids must list every game exactly once." });
+            }
+            console.log(`[ADMIN_INFO] Reordered ${ids.length} games.`);
+            res.json({ ok: true });
+        } catch (error) {
+            handleAdminError(res, error, "reorder games");
+        }
+    });
+
+    // --- Reviews ---
+    router.get('/games/:id/reviews', async (req, res) => {
+        try {
+            const reviews = await db.allAsync(`SELECT id, review_page_url, clue_order, scrape_status, scrape_error, scraped_at
+                FROM game_reviews WHERE game_id = ? ORDER BY clue_order ASC`, [req.params.id]);
+            res.json(reviews);
+        } catch (error) {
+            handleAdminError(res, error, "list reviews");
+        }
+    });
+
+    // Appends a review; it becomes a spare if the game already has its 6 clues
+    router.post('/games/:id/reviews', async (req, res) => {
+        if (!isValidReviewUrl(req.body.review_page_url)) {
+            return res.status(400).json({ error: "review_page_url must be an http(s) URL." });
+        }
+        try {
+            const game = await db.getAsync("SELECT id FROM games WHERE id = ?", [req.params.id]);
+            if (!game) return res.status(404).json({ error: "Game not found." });
+            const { lastID } = await db.runAsync(`INSERT INTO game_reviews (game_id, review_page_url, clue_order)
+                VALUES (?, ?, (SELECT COALESCE(MAX(clue_order), 0) + 1 FROM game_reviews WHERE game_id = ?))`,
+                [game.id, req.body.review_page_url.trim(), game.id]);
+            console.log(`[ADMIN_INFO] Added review ID ${lastID} to game ID ${game.id}.`);
+            onContentChanged();
+            res.status(201).json(await db.getAsync("SELECT * FROM game_reviews WHERE id = ?", [lastID]));
+        } catch (error) {
+            handleAdminError(res, error, "add review");
+        }
+    });
+
+    // Changing the URL discards the old scraped content; the scrape job fills it in again
+    router.patch('/reviews/:id', async (req, res) => {
+        if (!isValidReviewUrl(req.body.review_page_url)) {
+            return res.status(400).json({ error: "review_page_url must be an http(s) URL." });
+        }
+        try {
+            const { changes } = await db.runAsync(`UPDATE game_reviews SET review_page_url = ?, scrape_status = 'pending', scrape_error = NULL,
+                reviewer_name = NULL, reviewer_avatar_url = NULL, recommendation = NULL, playtime = NULL,
+                date_posted = NULL, review_text = NULL, scraped_at = NULL WHERE id = ?`,
+                [req.body.review_page_url.trim(), req.params.id]);
+            if (changes === 0) return res.status(404).json({ error: "Review not found." });
+            console.log(`[ADMIN_INFO] Updated URL of review ID ${req.params.id}.`);
+            onContentChanged();
+            res.json(await db.getAsync("SELECT * FROM game_reviews WHERE id = ?", [req.params.id]));
+        } catch (error) {
+            handleAdminError(res, error, "update review");
+        }
+    });
+
+    router.delete('/reviews/:id', async (req, res) => {
+        try {
+            const { changes } = await db.runAsync("DELETE FROM game_reviews WHERE id = ?", [req.params.id]);
+            if (changes === 0) return res.status(404).json({ error: "Review not found." });
+            console.log(`[ADMIN_INFO] Deleted review ID ${req.params.id}.`);
+            onContentChanged();
+            res.json({ ok: true });
+        } catch (error) {
+            handleAdminError(res, error, "delete review");
+        }
+    });
+
+    // Body: { ids: [reviewId, ...] } listing every review of the game in the new clue order
+    router.put('/games/:id/reviews/order', async (req, res) => {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+            return res.status(400).json({ error: "ids must be an array of review IDs." });
+        }
+        try {
+            if (!await applyOrder(db, 'game_reviews', 'clue_order', ids, 'game_id = ?', [req.params.id])) {
+                return res.status(400).json({ error: "ids must list every review of this game exactly once." });
+            }
+            console.log(`[ADMIN_INFO] Reordered ${ids.length} reviews of game ID ${req.params.id}.`);
+            onContentChanged();
+            res.json({ ok: true });
+        } catch (error) {
+            handleAdminError(res, error, "reorder reviews");
+        }
+    });
+
+    // --- Difficulty ---
+    // Per-game results from anonymous puzzle outcomes, hardest first (unrated games last):
+    // [{ game_id, title, is_active, plays, solves, solveRate, averageClues, difficulty, tier }]
+    router.get('/difficulty', async (req, res) => {
+        try {
+            const difficulties = await getGameDifficulties(db);
+            const games = await db.allAsync("SELECT id, title, is_active FROM games ORDER BY title ASC");
+            const rated = games.map(g => ({
+                game_id: g.id,
+                title: g.title,
+                is_active: !!g.is_active,
+                ...(difficulties.get(g.id) || { plays: 0, solves: 0, solveRate: null, averageClues: null, difficulty: null, tier: null })
+            }));
+            rated.sort((a, b) => (a.difficulty === null) - (b.difficulty === null) || (b.difficulty - a.difficulty) || (b.plays - a.plays));
+            res.json({ minOutcomesForRating: MIN_OUTCOMES_FOR_RATING, games: rated });
+        } catch (error) {
+            handleAdminError(res, error, "compute difficulty");
+        }
+    });
+
+    // --- Schedule ---
+    // Preview of the next `limit` scheduled days (default 14)
+    router.get('/schedule', async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 14, 365);
+        try {
+            res.json(await listSchedule(db, { limit }));
+        } catch (error) {
+            handleAdminError(res, error, "list schedule");
+        }
+    });
+
+    // Body: { game_id, note? }. Replaces whatever was scheduled for that date.
+    router.put('/schedule/:date', async (req, res) => {
+        const gameId = req.body.game_id;
+        if (!Number.isInteger(gameId)) {
+            return res.status(400).json({ error: "game_id must be a game ID." });
+        }
+        try {
+            const problem = await checkSchedulableDate(db, req.params.date);
+            if (problem) return res.status(400).json({ error: problem });
+            const game = await db.getAsync("SELECT id, is_active FROM games WHERE id = ?", [gameId]);
+            if (!game) return res.status(404).json({ error: "Game not found." });
+            if (!game.is_active) return res.status(400).json({ error: "Cannot schedule an inactive game." });
+
+            const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+            await setScheduledGame(db, req.params.date, gameId, note);
+            res.json({ ok: true });
+        } catch (error) {
+            handleAdminError(res, error, "schedule game");
+        }
+    });
+
+    router.delete('/schedule/:date', async (req, res) => {
+        try {
+            const problem = await checkSchedulableDate(db, req.params.date);
+            if (problem) return res.status(400).json({ error: problem });
+            if (!await clearScheduledGame(db, req.params.date)) {
+                return res.status(404).json({ error: "Nothing is scheduled for that date." });
+            }
+            console.log(`[ADMIN_INFO] Cleared schedule for ${req.params.date}.`);
+            res.json({ ok: true });
+        } catch (error) {
+            handleAdminError(res, error, "clear schedule");
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,84 @@
+// Decides whether a guess names the puzzle's game. Both sides are reduced to a canonical
+// form first, so "The Witcher III - Wild Hunt (GOTY)" and "witcher 3 wild hunt" are equal:
+//   - case, accents, punctuation and spacing are ignored ("R.E.P.O" == "repo")
+//   - "&" reads as "and", and a leading "The" is dropped
+//   - roman numerals II..XX read as numbers, and a trailing "1" is dropped ("Half Life 1")
+//   - edition suffixes like "Remake", "Remastered" or "Game of the Year Edition" are dropped
+// What's left may differ by a typo or two (more for longer titles), but never in its numbers,
+// so "Borderlands 3" is not accepted for "Borderlands 2".
+
+const ROMAN_NUMERALS = {
+    ii: '2', iii: '3', iv: '4', v: '5', vi: '6', vii: '7', viii: '8', ix: '9', x: '10',
+    xi: '11', xii: '12', xiii: '13', xiv: '14', xv: '15', xvi: '16', xvii: '17', xviii: '18', xix: '19', xx: '20'
+};
+
+// Matched against the end of the space-separated canonical words, repeatedly
+const EDITION_SUFFIX_REGEX = /\s(?:game of the year|goty|definitive|complete|enhanced|deluxe|ultimate|anniversary|special|gold|premium|standard|collectors|directors cut|remastered|remaster|remake|hd)(?: edition)?$/;
+
+function canonicalWords(str) {
+    if (typeof str !== 'string') return '';
+    let words = str
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean)
+        .map(word => ROMAN_NUMERALS[word] || word);
+
+    if (words.length > 1 && words[0] === 'the') words = words.slice(1);
+
+    let joined = words.join(' ');
+    let previous;
+    do {
+        previous = joined;
+        joined = joined.replace(EDITION_SUFFIX_REGEX, '');
+    } while (joined !== previous);
+    return joined.replace(/\s1$/, '');
+}
+
+function canonicalAnswer(str) {
+    return canonicalWords(str).replace(/\s/g, '');
+}
+
+function editDistance(a, b) {
+    let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, substitution));
+        }
+        previousRow = row;
+    }
+    return previousRow[b.length];
+}
+
+// Short names must be exact: "Rust" is one typo away from far too many things
+function allowedTypos(answer) {
+    if (answer.length <= 5) return 0;
+    if (answer.length <= 10) return 1;
+    return 2;
+}
+
+function isCloseEnough(guess, answer) {
+    if (!guess || !answer) return false;
+    if (guess === answer) return true;
+    if (guess.replace(/\D/g, '') !== answer.replace(/\D/g, '')) return false;
+    return editDistance(guess, answer) <= allowedTypos(answer);
+}
+
+// Returns { correct, matchedAlias }. `matchedAlias` is the alias that was accepted,
+// or null when the guess matched the title itself (or nothing at all).
+function matchGuess(guess, title, aliases = []) {
+    const canonicalGuess = canonicalAnswer(guess);
+    if (isCloseEnough(canonicalGuess, canonicalAnswer(title))) {
+        return { correct: true, matchedAlias: null };
+    }
+    const matchedAlias = aliases.find(alias => isCloseEnough(canonicalGuess, canonicalAnswer(alias)));
+    return matchedAlias ? { correct: true, matchedAlias } : { correct: false, matchedAlias: null };
+}
+
+module.exports = { canonicalAnswer, matchGuess };
@@ -0,0 +1,121 @@
+// Autocomplete search over Steam's app list. Names are normalized once, when the index is
+// built, and looked up through two inverted indexes instead of scanning every app:
+//   - trigrams of the normalized name, for terms of 3+ characters (substring matches)
+//   - the first two characters of each word, for 2-character terms (word-prefix matches)
+// Results are ranked by match quality, with a boost for apps that are in our game pool.
+// Building the index over Steam's whole list takes about a second, so it is done in slices
+// of INDEX_CHUNK_SIZE apps (or posting lists) with the event loop free to serve requests in
+// between. The old index keeps answering searches until the new one is returned.
+
+const MATCH_EXACT = 0;
+const MATCH_PREFIX = 1;
+const MATCH_WORD_PREFIX = 2;
+const MATCH_SUBSTRING = 3;
+// Enough to lift a pool game's word-prefix match above an unknown app's prefix match
+const POPULARITY_BOOST = 1.5;
+const INDEX_CHUNK_SIZE = 2000;
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function nameWords(name) {
+    return name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function normalizeSearchTerm(term) {
+    return typeof term === 'string' ? term.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
+
+function addPosting(map, key, index) {
+    const list = map.get(key);
+    if (!list) map.set(key, [index]);
+    else if (list[list.length - 1] !== index) list.push(index);
+}
+
+// Resolves to the index over `apps`, the [{ name, appid }] list from filterGameApps
+async function buildAppSearchIndex(apps) {
+    const entries = new Array(apps.length);
+    const trigrams = new Map();
+    const wordPrefixes = new Map();
+
+    for (let index = 0; index < apps.length; index++) {
+        if (index > 0 && index % INDEX_CHUNK_SIZE === 0) await yieldToEventLoop();
+        const app = apps[index];
+        const words = nameWords(app.name);
+        const normalized = words.join('');
+        entries[index] = { name: app.name, appid: app.appid, appidKey: String(app.appid), normalized, words };
+        for (let i = 0; i + 3 <= normalized.length; i++) {
+            addPosting(trigrams, normalized.slice(i, i + 3), index);
+        }
+        words.forEach(word => {
+            if (word.length >= 2) addPosting(wordPrefixes, word.slice(0, 2), index);
+        });
+    }
+
+    // Posting lists are append-only from here on; typed arrays keep them compact
+    for (const postings of [trigrams, wordPrefixes]) {
+        let converted = 0;
+        for (const [key, list] of postings) {
+            if (++converted % INDEX_CHUNK_SIZE === 0) await yieldToEventLoop();
+            postings.set(key, Uint32Array.from(list));
+        }
+    }
+
+    return { entries, trigrams, wordPrefixes };
+}
+
+// Indexes of entries that may contain `term`, or null if some trigram never occurs
+function candidateIndexes(index, term) {
+    if (term.length === 2) return index.wordPrefixes.get(term) || null;
+
+    const lists = [];
+    for (let i = 0; i + 3 <= term.length; i++) {
+        const list = index.trigrams.get(term.slice(i, i + 3));
+        if (!list) return null;
+        lists.push(list);
+    }
+    // Walk the rarest trigram's list; the full substring check below covers the others
+    return lists.reduce((shortest, list) => (list.length < shortest.length ? list : shortest));
+}
+
+function matchQuality(entry, term) {
+    if (entry.normalized === term) return MATCH_EXACT;
+    if (entry.normalized.startsWith(term)) return MATCH_PREFIX;
+    if (entry.words.some(word => word.startsWith(term))) return MATCH_WORD_PREFIX;
+    if (term.length > 2 && entry.normalized.includes(term)) return MATCH_SUBSTRING;
+    return null;
+}
+
+// Returns up to `limit` { name, appid } matches for `rawTerm`, best first.
+// `popularAppIds` is a Set of app IDs (as strings) to rank higher.
+function searchApps(index, rawTerm, { limit = 15, popularAppIds = new Set() } = {}) {
+    const term = normalizeSearchTerm(rawTerm);
+    if (!index || term.length < 2) return [];
+    const candidates = candidateIndexes(index, term);
+    if (!candidates) return [];
+
+    // Keep only the best `limit` matches (sorted) rather than sorting every candidate
+    const top = [];
+    for (const entryIndex of candidates) {
+        const entry = index.entries[entryIndex];
+        const quality = matchQuality(entry, term);
+        if (quality === null) continue;
+        const match = { entry, score: quality - (popularAppIds.has(entry.appidKey) ? POPULARITY_BOOST : 0) };
+        if (top.length === limit && compareMatches(match, top[top.length - 1]) >= 0) continue;
+        let position = top.length;
+        while (position > 0 && compareMatches(match, top[position - 1]) < 0) position--;
+        top.splice(position, 0, match);
+        if (top.length > limit) top.pop();
+    }
+    return top.map(({ entry }) => ({ name: entry.name, appid: entry.appid }));
+}
+
+// Better score first, then shorter names, then alphabetical
+function compareMatches(a, b) {
+    return (a.score - b.score)
+        || (a.entry.normalized.length - b.entry.normalized.length)
+        || (a.entry.name < b.entry.name ? -1 : a.entry.name > b.entry.name ? 1 : 0);
+}
+
+module.exports = { buildAppSearchIndex, searchApps };
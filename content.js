@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const { splitGenres } = require('./hints.js');
+const { WEEKDAYS, normalizeTag, isValidTagList } = require('./tags.js');
+
+// The game pool lives in a versioned content file (data/games.json by default):
+//
+//   {
+//       "version": 1,
+//       "daily_themes": {                     // Optional. Weekdays whose daily puzzle is picked
+//           "monday": "retro"                 //   from the games with a tag (see tags.js)
+//       },
+//       "games": [
+//           {
+//               "title": "Portal 2",          // The exact game title players will guess
+//               "steam_app_id": "620",        // The game's ID on Steam (from its store page URL)
+//               "reviews": [ ...6 URLs ],     // FULL URLs to Steam review pages, one per clue
+//               "spare_reviews": [ ...URLs ], // Optional. Swapped in when a clue fails to scrape
+//               "aliases": [ "P2" ],          // Optional. Other names accepted as a correct guess
+//               "tags": [ "co-op" ],          // Optional. Categories on top of the genres and decade
+//               "release_year": 2011,         // Optional hint data (see hints.js). Whatever is left
+//               "genres": [ "Puzzle" ],       //   out is fetched from the Steam store by the scrape job
+//               "developer": "Valve",
+//               "price_tier": "Under $10",
+//               "is_active": false            // Optional. Defaults to true
+//           }
+//       ]
+//   }
+//
+// Review URLs look like https://steamcommunity.com/id/someuser/recommended/12345/
+// and must point at the same app as steam_app_id.
+
+const DEFAULT_CONTENT_FILE = path.join(__dirname, 'data', 'games.json');
+const CONTENT_FILE_VERSION = 1;
+// How many review clues (and so guesses) a puzzle has: each game lists this many reviews
+const CLUES_PER_GAME = 6;
+
+function loadContentFile(file = DEFAULT_CONTENT_FILE) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (content.version !== CONTENT_FILE_VERSION) {
+        throw new Error(`Unsupported content file version ${content.version} in ${file} (expected ${CONTENT_FILE_VERSION}).`);
+    }
+    if (!Array.isArray(content.games)) {
+        throw new Error(`Content file ${file} has no "games" array.`);
+    }
+    return content;
+}
+
+function writeContentFile(games, file = DEFAULT_CONTENT_FILE, dailyThemes = {}) {
+    const content = { version: CONTENT_FILE_VERSION };
+    if (Object.keys(dailyThemes).length > 0) content.daily_themes = dailyThemes;
+    content.games = games;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(content, null, 4) + '\n');
+}
+
+// ".../recommended/1627720/" -> "1627720"
+function steamAppIdFromReviewUrl(url) {
+    const match = /\/recommended\/(\d+)/.exec(url);
+    return match ? match[1] : null;
+}
+
+// Returns a list of { index, title, message } problems. `knownAppIds` (a Set of Steam
+// app IDs as strings) is optional; without it the "app exists on Steam" check is skipped.
+function validateGames(games, { knownAppIds = null } = {}) {
+    const problems = [];
+    const seenTitles = new Map();
+    const seenUrls = new Map();
+
+    games.forEach((game, index) => {
+        const title = game && typeof game.title === 'string' ? game.title.trim() : '';
+        const report = message => problems.push({ index, title: title || `(game #${index + 1})`, message });
+
+        if (!game || typeof game !== 'object' || Array.isArray(game)) {
+            report("must be an object with a title, steam_app_id and reviews.");
+            return;
+        }
+        if (!title) {
+            report("title is missing.");
+        } else if (seenTitles.has(title)) {
+            report(`title is also used by game #${seenTitles.get(title) + 1}.`);
+        } else {
+            seenTitles.set(title, index);
+        }
+
+        const appId = game.steam_app_id;
+        if (typeof appId !== 'string' || !/^\d+$/.test(appId)) {
+            report(`steam_app_id must be a numeric string, got ${JSON.stringify(appId)}.`);
+        } else if (knownAppIds && !knownAppIds.has(appId)) {
+            report(`steam_app_id ${appId} is not in Steam's app list.`);
+        }
+
+        if (!Array.isArray(game.reviews)) {
+            report(`reviews must be an array of ${CLUES_PER_GAME} review URLs.`);
+        } else if (game.reviews.length !== CLUES_PER_GAME) {
+            report(`must have exactly ${CLUES_PER_GAME} reviews, has ${game.reviews.length}.`);
+        }
+        if (game.spare_reviews !== undefined && !Array.isArray(game.spare_reviews)) {
+            report("spare_reviews must be an array.");
+        }
+        if (game.aliases !== undefined && !isValidAliasList(game.aliases)) {
+            report("aliases must be an array of non-empty strings.");
+        }
+        if (game.tags !== undefined && !isValidTagList(game.tags)) {
+            report("tags must be an array of words like \"indie\" or \"co-op\".");
+        }
+        if (game.is_active !== undefined && typeof game.is_active !== 'boolean') {
+            report("is_active must be true or false.");
+        }
+        if (game.release_year !== undefined && !(Number.isInteger(game.release_year) && game.release_year >= 1970 && game.release_year <= 2100)) {
+            report("release_year must be a year like 2011.");
+        }
+        if (game.genres !== undefined && !(Array.isArray(game.genres) && game.genres.every(genre => typeof genre === 'string' && genre.trim() && !genre.includes(',')))) {
+            report("genres must be an array of non-empty strings without commas.");
+        }
+        ['developer', 'price_tier'].forEach(field => {
+            if (game[field] !== undefined && (typeof game[field] !== 'string' || !game[field].trim())) {
+                report(`${field} must be a non-empty string.`);
+            }
+        });
+
+        const urls = [...(Array.isArray(game.reviews) ? game.reviews : []), ...(Array.isArray(game.spare_reviews) ? game.spare_reviews : [])];
+        urls.forEach(url => {
+            if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+                report(`review URL ${JSON.stringify(url)} is not an http(s) URL.`);
+                return;
+            }
+            const urlAppId = steamAppIdFromReviewUrl(url);
+            if (urlAppId !== appId) {
+                report(`review URL ${url} is for app ${urlAppId || '(unknown)'}, not ${appId}.`);
+            }
+            if (seenUrls.has(url)) {
+                const otherIndex = seenUrls.get(url);
+                report(otherIndex === index ? `review URL ${url} is listed twice.` : `review URL ${url} is also used by game #${otherIndex + 1}.`);
+            } else {
+                seenUrls.set(url, index);
+            }
+        });
+    });
+
+    return problems;
+}
+
+// Returns a list of problem messages for the content file's "daily_themes" (if any)
+function validateDailyThemes(dailyThemes) {
+    if (dailyThemes === undefined) return [];
+    if (!dailyThemes || typeof dailyThemes !== 'object' || Array.isArray(dailyThemes)) {
+        return ["daily_themes must be an object like { \"monday\": \"retro\" }."];
+    }
+    const problems = [];
+    Object.entries(dailyThemes).forEach(([weekday, tag]) => {
+        if (!WEEKDAYS.includes(weekday)) problems.push(`daily_themes: "${weekday}" is not a weekday (use ${WEEKDAYS.join(', ')}).`);
+        if (!normalizeTag(tag)) problems.push(`daily_themes: the tag for ${weekday} must be a word like "indie".`);
+    });
+    return problems;
+}
+
+function isValidAliasList(aliases) {
+    return Array.isArray(aliases) && aliases.every(alias => typeof alias === 'string' && alias.trim());
+}
+
+// Replaces the accepted aliases of a game. Duplicates are dropped.
+async function setGameAliases(db, gameId, aliases) {
+    await db.runAsync("DELETE FROM game_aliases WHERE game_id = ?", [gameId]);
+    for (const alias of new Set(aliases.map(a => a.trim()))) {
+        await db.runAsync("INSERT INTO game_aliases (game_id, alias) VALUES (?, ?)", [gameId, alias]);
+    }
+}
+
+// Replaces the tags set on a game. Tags are stored normalized; duplicates are dropped.
+async function setGameTags(db, gameId, tags) {
+    await db.runAsync("DELETE FROM game_tags WHERE game_id = ?", [gameId]);
+    for (const tag of new Set(tags.map(normalizeTag))) {
+        await db.runAsync("INSERT INTO game_tags (game_id, tag) VALUES (?, ?)", [gameId, tag]);
+    }
+}
+
+// Replaces every weekly theme with `dailyThemes` ({ weekday: tag })
+async function importDailyThemes(db, dailyThemes) {
+    await db.runAsync("DELETE FROM daily_themes");
+    for (const [weekday, tag] of Object.entries(dailyThemes)) {
+        await db.runAsync("INSERT INTO daily_themes (weekday, tag) VALUES (?, ?)", [weekday, normalizeTag(tag)]);
+    }
+    console.log(`[SEED_INFO] Imported ${Object.keys(dailyThemes).length} daily theme(s).`);
+}
+
+async function exportDailyThemes(db) {
+    const rows = await db.allAsync("SELECT weekday, tag FROM daily_themes");
+    rows.sort((a, b) => WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday));
+    return Object.fromEntries(rows.map(row => [row.weekday, row.tag]));
+}
+
+// Upserts `games` into SQLite. Existing games are matched by title, then by
+// steam_app_id (so fixing either one updates the row instead of adding a duplicate).
+// Reviews still listed keep their scraped content. Games at indexes in `skipIndexes`
+// are left untouched. With `pruneMissing`, games that aren't in the list at all are deleted.
+async function importGames(db, games, { pruneMissing = false, skipIndexes = new Set() } = {}) {
+    console.log(`[SEED_INFO] --- Importing ${games.length} games (${pruneMissing ? 'Upsert & Cleanup' : 'Upsert'} Mode) ---`);
+    const dbGames = await db.allAsync("SELECT id, title, steam_app_id FROM games");
+    const matchedGameIds = new Set();
+    let imported = 0;
+
+    for (const [index, gameData] of games.entries()) {
+        const existingGame = dbGames.find(g => g.title === gameData.title)
+            || dbGames.find(g => g.steam_app_id === gameData.steam_app_id && !matchedGameIds.has(g.id));
+        if (existingGame) matchedGameIds.add(existingGame.id);
+        if (skipIndexes.has(index)) {
+            console.warn(`[SEED_WARN] Skipping invalid game "${gameData.title || 'UNTITLED'}".`);
+            continue;
+        }
+
+        const reviewUrls = [...gameData.reviews, ...(gameData.spare_reviews || [])];
+        const isActive = gameData.is_active === false ? 0 : 1;
+        // Hint data left out of the file keeps its stored (usually fetched) value
+        const hintData = [
+            gameData.release_year ?? null,
+            gameData.genres ? gameData.genres.map(genre => genre.trim()).join(', ') : null,
+            gameData.developer ?? null,
+            gameData.price_tier ?? null
+        ];
+
+        try {
+            let gameId;
+            if (existingGame) {
+                gameId = existingGame.id;
+                await db.runAsync(`UPDATE games SET title = ?, steam_app_id = ?, is_active = ?, release_year = COALESCE(?, release_year),
+                        genres = COALESCE(?, genres), developer = COALESCE(?, developer), price_tier = COALESCE(?, price_tier) WHERE id = ?`,
+                    [gameData.title, gameData.steam_app_id, isActive, ...hintData, gameId]);
+                // Delete reviews that are no longer listed. Reviews that are still listed are
+                // kept (and updated below) so their scraped content survives re-importing.
+                const placeholders = reviewUrls.map(() => '?').join(', ');
+                const { changes } = await db.runAsync(`DELETE FROM game_reviews WHERE game_id = ? AND review_page_url NOT IN (${placeholders})`, [gameId, ...reviewUrls]);
+                if (changes > 0) console.log(`[SEED_INFO] Deleted ${changes} obsolete review(s) for Game ID ${gameId} ("${gameData.title}").`);
+            } else {
+                console.log(`[SEED_INFO] Game "${gameData.title}" is new. Inserting.`);
+                ({ lastID: gameId } = await db.runAsync(`INSERT INTO games (title, steam_app_id, is_active, release_year, genres, developer, price_tier)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)`, [gameData.title, gameData.steam_app_id, isActive, ...hintData]));
+                matchedGameIds.add(gameId);
+            }
+
+            // Spares get clue_order 7 and up
+            for (let i = 0; i < reviewUrls.length; i++) {
+                await db.runAsync(`INSERT INTO game_reviews (game_id, review_page_url, clue_order) VALUES (?, ?, ?)
+                        ON CONFLICT(review_page_url) DO UPDATE SET game_id = excluded.game_id, clue_order = excluded.clue_order`,
+                    [gameId, reviewUrls[i], i + 1]);
+            }
+            await setGameAliases(db, gameId, gameData.aliases || []);
+            await setGameTags(db, gameId, gameData.tags || []);
+            imported++;
+        } catch (err) {
+            console.error(`[SEED_EXCEPTION] During upsert for "${gameData.title || 'UNTITLED'}":`, err.message);
+        }
+    }
+
+    // Games that have been or will be a daily puzzle are never deleted: past puzzles must keep
+    // their game, and so must the schedule. They are deactivated instead, which keeps them
+    // out of new picks (a scheduled inactive game falls back to a random one on the day).
+    let pruned = 0;
+    let deactivated = 0;
+    if (pruneMissing) {
+        const referencedGameIds = new Set((await db.allAsync("SELECT game_id FROM daily_puzzles UNION SELECT game_id FROM puzzle_schedule")).map(row => row.game_id));
+        for (const dbGame of dbGames) {
+            if (matchedGameIds.has(dbGame.id)) continue;
+            if (referencedGameIds.has(dbGame.id)) {
+                console.warn(`[SEED_WARN] Game "${dbGame.title}" (ID: ${dbGame.id}) is not in the content file, but it is used by a published or scheduled puzzle. Deactivating it instead of deleting it.`);
+                try {
+                    await db.runAsync("UPDATE games SET is_active = FALSE WHERE id = ?", [dbGame.id]);
+                    deactivated++;
+                } catch (err) {
+                    console.error(`[SEED_EXCEPTION] During deactivation of "${dbGame.title}":`, err.message);
+                }
+                continue;
+            }
+            console.log(`[SEED_INFO] Game "${dbGame.title}" (ID: ${dbGame.id}) is in DB but not in the content file. Deleting.`);
+            try {
+                await db.runAsync("DELETE FROM game_reviews WHERE game_id = ?", [dbGame.id]);
+                await db.runAsync("DELETE FROM game_aliases WHERE game_id = ?", [dbGame.id]);
+                await db.runAsync("DELETE FROM game_tags WHERE game_id = ?", [dbGame.id]);
+                await db.runAsync("DELETE FROM puzzle_outcomes WHERE game_id = ?", [dbGame.id]);
+                await db.runAsync("DELETE FROM games WHERE id = ?", [dbGame.id]);
+                pruned++;
+            } catch (err) {
+                console.error(`[SEED_EXCEPTION] During cleanup of "${dbGame.title}":`, err.message);
+            }
+        }
+    }
+
+    console.log(`[SEED_INFO] --- Finished import: ${imported} imported, ${skipIndexes.size} skipped, ${pruned} deleted, ${deactivated} deactivated ---`);
+    return { imported, skipped: skipIndexes.size, pruned, deactivated };
+}
+
+// Reads the game pool back out of SQLite in content file format
+async function exportGames(db) {
+    const games = await db.allAsync(`SELECT id, title, steam_app_id, is_active, release_year, genres, developer, price_tier
+        FROM games ORDER BY sort_order IS NULL, sort_order ASC, id ASC`);
+    const reviews = await db.allAsync("SELECT game_id, review_page_url FROM game_reviews ORDER BY game_id, clue_order ASC");
+    const aliases = await db.allAsync("SELECT game_id, alias FROM game_aliases ORDER BY game_id, id ASC");
+    const tags = await db.allAsync("SELECT game_id, tag FROM game_tags ORDER BY game_id, id ASC");
+
+    return games.map(game => {
+        const urls = reviews.filter(r => r.game_id === game.id).map(r => r.review_page_url);
+        const entry = {
+            title: game.title,
+            steam_app_id: game.steam_app_id,
+            reviews: urls.slice(0, CLUES_PER_GAME)
+        };
+        if (urls.length > CLUES_PER_GAME) entry.spare_reviews = urls.slice(CLUES_PER_GAME);
+        const gameAliases = aliases.filter(a => a.game_id === game.id).map(a => a.alias);
+        if (gameAliases.length > 0) entry.aliases = gameAliases;
+        const gameTags = tags.filter(t => t.game_id === game.id).map(t => t.tag);
+        if (gameTags.length > 0) entry.tags = gameTags;
+        if (!game.is_active) entry.is_active = false;
+        if (game.release_year) entry.release_year = game.release_year;
+        if (game.genres) entry.genres = splitGenres(game.genres);
+        if (game.developer) entry.developer = game.developer;
+        if (game.price_tier) entry.price_tier = game.price_tier;
+        return entry;
+    });
+}
+
+module.exports = {
+    DEFAULT_CONTENT_FILE,
+    CLUES_PER_GAME,
+    loadContentFile,
+    writeContentFile,
+    validateGames,
+    validateDailyThemes,
+    isValidAliasList,
+    setGameAliases,
+    setGameTags,
+    importGames,
+    importDailyThemes,
+    exportGames,
+    exportDailyThemes
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Daily puzzle results, for the "how everyone did" chart on the game-over screen. /api/guess
+// records one when a player finishes today's puzzle, so won/clues come from the server. Each
+// device sends a random token it keeps in localStorage; only a hash of it is stored, and a
+// device counts once per puzzle (later results are ignored).
+
+const DEVICE_TOKEN_REGEX = /^[A-Za-z0-9-]{16,128}$/;
+
+function isValidDeviceToken(token) {
+    return typeof token === 'string' && DEVICE_TOKEN_REGEX.test(token);
+}
+
+function hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Resolves to true if the result was recorded, false if this device already reported one
+function recordDailyResult(db, { date, deviceToken, won, clues, hardMode = false }) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT OR IGNORE INTO daily_results (puzzle_date, device_hash, won, clues, hard_mode) VALUES (?, ?, ?, ?, ?)`,
+            [date, hashDeviceToken(deviceToken), won ? 1 : 0, clues, hardMode ? 1 : 0], function (err) {
+                if (err) { console.error(`[DB_ERROR] Failed to record result for ${date}:`, err.message); reject(err); }
+                else resolve(this.changes > 0);
+            });
+    });
+}
+
+// { date, players, wins, losses, distribution } where distribution[i] is how many players
+// won with i + 1 clues
+function getDailyDistribution(db, date, totalClues) {
+    return new Promise((resolve, reject) => {
+        db.all("SELECT won, clues, COUNT(*) AS count FROM daily_results WHERE puzzle_date = ? GROUP BY won, clues", [date], (err, rows) => {
+            if (err) { console.error(`[DB_ERROR] Failed to load results for ${date}:`, err.message); return reject(err); }
+            const distribution = new Array(totalClues).fill(0);
+            let losses = 0;
+            rows.forEach(row => {
+                if (!row.won) losses += row.count;
+                else if (row.clues >= 1 && row.clues <= totalClues) distribution[row.clues - 1] += row.count;
+            });
+            const wins = distribution.reduce((sum, count) => sum + count, 0);
+            resolve({ date, players: wins + losses, wins, losses, distribution });
+        });
+    });
+}
+
+module.exports = { isValidDeviceToken, hashDeviceToken, recordDailyResult, getDailyDistribution };
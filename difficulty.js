@@ -0,0 +1,82 @@
+const { CLUES_PER_GAME } = require('./content.js');
+const { hashDeviceToken } = require('./daily-results.js');
+
+// How hard each game is, judged from anonymous puzzle outcomes. /api/guess records an
+// outcome whenever a game ends (solved at clue N, or failed). Like daily_results, each
+// device counts once per puzzle and only a hash of its token is kept, so replaying a
+// puzzle can't skew its rating.
+//
+// A game's difficulty is the average number of clues players needed, with a failure
+// counted as one clue more than a puzzle has. Games with too few outcomes are unrated.
+// The daily selection uses the tiers to keep the week balanced: it aims for the tier that
+// came up least often in the previous days' puzzles.
+
+const FAILED_CLUE_COUNT = CLUES_PER_GAME + 1;
+const MIN_OUTCOMES_FOR_RATING = 10;
+// Difficulty (average clues) at or below which a game is easy, and above which it is hard
+const EASY_MAX_DIFFICULTY = 2.5;
+const HARD_MIN_DIFFICULTY = 4.5;
+const DIFFICULTY_TIERS = ['easy', 'medium', 'hard'];
+// How many previous daily puzzles the balancing looks back over
+const BALANCE_WINDOW_DAYS = 6;
+
+// Resolves to true if the outcome was recorded, false if this device already has one for the puzzle
+function recordOutcome(db, { gameId, puzzleDate = null, deviceToken, solved, cluesUsed, hardMode = false }) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT OR IGNORE INTO puzzle_outcomes (game_id, puzzle_date, device_hash, solved, clues_used, hard_mode)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+            [gameId, puzzleDate, hashDeviceToken(deviceToken), solved ? 1 : 0, cluesUsed, hardMode ? 1 : 0], function (err) {
+                if (err) { console.error(`[DB_ERROR] Failed to record outcome for game ID ${gameId}:`, err.message); reject(err); }
+                else resolve(this.changes > 0);
+            });
+    });
+}
+
+function difficultyTier(difficulty) {
+    if (difficulty === null) return null;
+    if (difficulty <= EASY_MAX_DIFFICULTY) return 'easy';
+    if (difficulty > HARD_MIN_DIFFICULTY) return 'hard';
+    return 'medium';
+}
+
+// Map of game ID -> { plays, solves, solveRate, averageClues, difficulty, tier }, for every
+// game with at least one outcome. `averageClues` is over solves only; `difficulty` and
+// `tier` are null until a game has MIN_OUTCOMES_FOR_RATING outcomes.
+function getGameDifficulties(db) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT game_id, COUNT(*) AS plays, SUM(solved) AS solves,
+                    AVG(CASE WHEN solved THEN clues_used END) AS average_clues,
+                    AVG(CASE WHEN solved THEN clues_used ELSE ${FAILED_CLUE_COUNT} END) AS difficulty
+                FROM puzzle_outcomes GROUP BY game_id`, (err, rows) => {
+            if (err) { console.error("[DB_ERROR] Failed to compute game difficulties:", err.message); return reject(err); }
+            const difficulties = new Map();
+            rows.forEach(row => {
+                const difficulty = row.plays >= MIN_OUTCOMES_FOR_RATING ? Math.round(row.difficulty * 100) / 100 : null;
+                difficulties.set(row.game_id, {
+                    plays: row.plays,
+                    solves: row.solves,
+                    solveRate: Math.round((row.solves / row.plays) * 1000) / 1000,
+                    averageClues: row.average_clues === null ? null : Math.round(row.average_clues * 100) / 100,
+                    difficulty,
+                    tier: difficultyTier(difficulty)
+                });
+            });
+            resolve(difficulties);
+        });
+    });
+}
+
+// The tier the next daily puzzle should have: whichever came up least among `recentTiers`
+// (earlier tiers in DIFFICULTY_TIERS win ties). Unrated puzzles are left out of the count.
+function pickBalancedTier(recentTiers) {
+    const counts = DIFFICULTY_TIERS.map(tier => recentTiers.filter(t => t === tier).length);
+    return DIFFICULTY_TIERS[counts.indexOf(Math.min(...counts))];
+}
+
+module.exports = {
+    MIN_OUTCOMES_FOR_RATING,
+    BALANCE_WINDOW_DAYS,
+    recordOutcome,
+    getGameDifficulties,
+    pickBalancedTier
+};
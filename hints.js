@@ -0,0 +1,52 @@
+// Optional hints a player can reveal alongside the review clues. Each one is unlocked by
+// a number of wrong guesses (counted by the player's signed progress token, see
+// puzzle-state.js), and its value is only sent once it has been unlocked.
+// Values come from the hint columns of `games`; the header image is Steam's, proxied so
+// its URL (which contains the app ID) is never sent to the client, and blurred on the server.
+
+const HINTS = [
+    { key: 'releaseYear', label: "Release Year", afterMisses: 1 },
+    { key: 'genres', label: "Genres", afterMisses: 2 },
+    { key: 'developer', label: "Developer", afterMisses: 3 },
+    { key: 'priceTier', label: "Price", afterMisses: 4 },
+    { key: 'headerImage', label: "Header Image", afterMisses: 5 }
+];
+
+// Steam store prices (US cents) -> the tier shown as the price hint
+const PRICE_TIERS = [
+    { maxCents: 0, label: "Free to Play" },
+    { maxCents: 999, label: "Under $10" },
+    { maxCents: 2999, label: "$10 - $30" },
+    { maxCents: Infinity, label: "Over $30" }
+];
+
+function priceTierForCents(cents) {
+    return PRICE_TIERS.find(tier => cents <= tier.maxCents).label;
+}
+
+function splitGenres(genres) {
+    return genres ? genres.split(',').map(genre => genre.trim()).filter(Boolean) : [];
+}
+
+// Hint values for a games row (columns release_year, genres, developer, price_tier)
+function hintValuesFromRow(row) {
+    const genres = splitGenres(row.genres);
+    return {
+        releaseYear: row.release_year || null,
+        genres: genres.length > 0 ? genres : null,
+        developer: row.developer || null,
+        priceTier: row.price_tier || null,
+        headerImage: true
+    };
+}
+
+// The hints a game has data for, without their values: [{ key, label, afterMisses }]
+function listAvailableHints(hintValues) {
+    return HINTS.filter(hint => hintValues && hintValues[hint.key] !== null && hintValues[hint.key] !== undefined);
+}
+
+function findHint(key) {
+    return HINTS.find(hint => hint.key === key) || null;
+}
+
+module.exports = { HINTS, priceTierForCents, splitGenres, hintValuesFromRow, listAvailableHints, findHint };
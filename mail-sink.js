@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stand-in for sending email: each message is written as a text file to MAIL_SINK_DIR
+// (default: a mail-sink folder next to the database) and logged, so sign-in links can be
+// followed locally without a mail server.
+
+function getMailSinkDir(defaultDir) {
+    return process.env.MAIL_SINK_DIR || path.join(defaultDir, 'mail-sink');
+}
+
+async function sendMail(mailDir, { to, subject, text }) {
+    await fs.promises.mkdir(mailDir, { recursive: true });
+    const file = path.join(mailDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.txt`);
+    await fs.promises.writeFile(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    console.log(`[MAIL_SINK] Wrote "${subject}" for ${to} to ${file}`);
+    return file;
+}
+
+module.exports = { getMailSinkDir, sendMail };
@@ -0,0 +1,108 @@
+// CLI: validate the game content file and move it in and out of SQLite.
+//
+//   node manage-content.js validate [--file <path>] [--offline]
+//   node manage-content.js import   [--file <path>] [--offline] [--skip-invalid] [--prune]
+//   node manage-content.js export   [--file <path>]
+//
+// --file          Content file to use (default: data/games.json)
+// --offline       Skip the check that every steam_app_id exists in Steam's app list
+// --skip-invalid  Import the valid games even if others fail validation
+// --prune         Delete games from the database that aren't in the file (games used by a
+//                 published or scheduled puzzle are deactivated instead)
+const {
+    DEFAULT_CONTENT_FILE,
+    loadContentFile,
+    writeContentFile,
+    validateGames,
+    validateDailyThemes,
+    importGames,
+    importDailyThemes,
+    exportGames,
+    exportDailyThemes
+} = require('./content.js');
+const { fetchSteamAppList } = require('./steam-apps.js');
+
+function parseArgs(argv) {
+    const options = { command: argv[0], file: DEFAULT_CONTENT_FILE, offline: false, skipInvalid: false, prune: false };
+    for (let i = 1; i < argv.length; i++) {
+        if (argv[i] === '--file') options.file = argv[++i];
+        else if (argv[i] === '--offline') options.offline = true;
+        else if (argv[i] === '--skip-invalid') options.skipInvalid = true;
+        else if (argv[i] === '--prune') options.prune = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    if (!['validate', 'import', 'export'].includes(options.command)) {
+        throw new Error("Usage: node manage-content.js <validate|import|export> [--file <path>] [--offline] [--skip-invalid] [--prune]");
+    }
+    if (!options.file) throw new Error("--file expects a path.");
+    return options;
+}
+
+// The database is only opened for import/export. Seeding is turned off so that opening
+// an empty database doesn't import the default file behind this command's back.
+function openDatabase() {
+    process.env.DISABLE_DB_SEED = 'true';
+    return require('./db.js');
+}
+
+async function loadKnownAppIds(offline) {
+    if (offline) {
+        console.warn("[CONTENT_CLI] --offline: skipping the Steam app list check.");
+        return null;
+    }
+    console.log("[CONTENT_CLI] Fetching Steam app list to check app IDs...");
+    const apps = await fetchSteamAppList();
+    return new Set(apps.map(app => String(app.appid)));
+}
+
+async function validate(options) {
+    const { games, daily_themes: dailyThemes } = loadContentFile(options.file);
+    const problems = validateGames(games, { knownAppIds: await loadKnownAppIds(options.offline) });
+    problems.forEach(problem => console.error(`[CONTENT_CLI] "${problem.title}": ${problem.message}`));
+    const themeProblems = validateDailyThemes(dailyThemes);
+    themeProblems.forEach(problem => console.error(`[CONTENT_CLI] ${problem}`));
+    const invalidCount = new Set(problems.map(p => p.index)).size;
+    console.log(`[CONTENT_CLI] ${games.length} games checked, ${invalidCount} with problems.${themeProblems.length > 0 ? ' The daily themes have problems.' : ''}`);
+    return { games, problems, dailyThemes, themeProblems };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.command === 'validate') {
+        const { problems, themeProblems } = await validate(options);
+        return problems.length > 0 || themeProblems.length > 0 ? 1 : 0;
+    }
+
+    if (options.command === 'import') {
+        const { games, problems, dailyThemes, themeProblems } = await validate(options);
+        const hasProblems = problems.length > 0 || themeProblems.length > 0;
+        if (hasProblems && !options.skipInvalid) {
+            console.error("[CONTENT_CLI] Nothing imported. Fix the problems above or pass --skip-invalid.");
+            return 1;
+        }
+        const db = openDatabase();
+        await db.ready;
+        await importGames(db, games, { pruneMissing: options.prune, skipIndexes: new Set(problems.map(p => p.index)) });
+        if (dailyThemes !== undefined && themeProblems.length === 0) {
+            await importDailyThemes(db, dailyThemes);
+        }
+        await new Promise(resolve => db.close(resolve));
+        return hasProblems ? 1 : 0;
+    }
+
+    const db = openDatabase();
+    await db.ready;
+    const games = await exportGames(db);
+    writeContentFile(games, options.file, await exportDailyThemes(db));
+    console.log(`[CONTENT_CLI] Exported ${games.length} games to ${options.file}.`);
+    await new Promise(resolve => db.close(resolve));
+    return 0;
+}
+
+main()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+        console.error("[CONTENT_CLI_ERROR]", error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,77 @@
+// CLI: plan daily puzzles ahead of time.
+//
+//   node manage-schedule.js list [--limit <n>]                 Show the next n scheduled days (default 14)
+//   node manage-schedule.js set <yyyy-MM-dd> <game id or title> [--note <text>]
+//   node manage-schedule.js clear <yyyy-MM-dd>
+const db = require('./db.js');
+const { listSchedule, checkSchedulableDate, setScheduledGame, clearScheduledGame } = require('./schedule.js');
+const { CLUES_PER_GAME } = require('./content.js');
+
+const USAGE = "Usage: node manage-schedule.js <list [--limit n] | set <date> <game id or title> [--note text] | clear <date>>";
+
+function findGame(idOrTitle) {
+    return new Promise((resolve, reject) => {
+        db.get("SELECT id, title, is_active FROM games WHERE id = ? OR title = ? COLLATE NOCASE", [Number(idOrTitle) || -1, idOrTitle], (err, row) => {
+            err ? reject(err) : resolve(row);
+        });
+    });
+}
+
+async function list(args) {
+    const limitIndex = args.indexOf('--limit');
+    const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1], 10) : 14;
+    if (!Number.isInteger(limit) || limit < 1) throw new Error("--limit expects a positive number.");
+
+    const entries = await listSchedule(db, { limit });
+    if (entries.length === 0) {
+        console.log("[SCHEDULE_CLI] Nothing scheduled. Upcoming days will be picked at random.");
+    }
+    entries.forEach(entry => {
+        const warnings = [];
+        if (!entry.is_active) warnings.push("INACTIVE");
+        if (entry.scraped_review_count < CLUES_PER_GAME) warnings.push(`only ${entry.scraped_review_count}/${CLUES_PER_GAME} clues scraped`);
+        console.log(`${entry.puzzle_date}  #${entry.game_id} ${entry.title}${entry.note ? `  (${entry.note})` : ''}${warnings.length ? `  [${warnings.join(', ')}]` : ''}`);
+    });
+    return 0;
+}
+
+async function set(args) {
+    const [date, idOrTitle] = args;
+    if (!date || !idOrTitle) throw new Error(USAGE);
+    const noteIndex = args.indexOf('--note');
+    const note = noteIndex >= 0 ? args[noteIndex + 1] : null;
+
+    const problem = await checkSchedulableDate(db, date);
+    if (problem) throw new Error(problem);
+    const game = await findGame(idOrTitle);
+    if (!game) throw new Error(`No game found with ID or title "${idOrTitle}".`);
+    if (!game.is_active) throw new Error(`"${game.title}" is inactive.`);
+
+    await setScheduledGame(db, date, game.id, note);
+    console.log(`[SCHEDULE_CLI] ${date} -> "${game.title}".`);
+    return 0;
+}
+
+async function clear(args) {
+    const [date] = args;
+    const problem = await checkSchedulableDate(db, date);
+    if (problem) throw new Error(problem);
+    const cleared = await clearScheduledGame(db, date);
+    console.log(cleared ? `[SCHEDULE_CLI] Cleared ${date}.` : `[SCHEDULE_CLI] Nothing was scheduled for ${date}.`);
+    return 0;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const commands = { list, set, clear };
+    if (!commands[command]) throw new Error(USAGE);
+    await db.ready;
+    return commands[command](args);
+}
+
+main()
+    .then(exitCode => db.close(() => process.exit(exitCode)))
+    .catch(error => {
+        console.error("[SCHEDULE_CLI_ERROR]", error.message);
+        db.close(() => process.exit(1));
+    });
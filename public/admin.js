@@ -0,0 +1,314 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // DOM Elements
+    const tokenForm = document.getElementById('admin-token-form');
+    const tokenInput = document.getElementById('admin-token-input');
+    const statusText = document.getElementById('admin-status');
+    const adminContent = document.getElementById('admin-content');
+    const addGameForm = document.getElementById('add-game-form');
+    const newGameTitle = document.getElementById('new-game-title');
+    const newGameAppId = document.getElementById('new-game-appid');
+    const newGameReviews = document.getElementById('new-game-reviews');
+    const gamesTableBody = document.querySelector('#games-table tbody');
+    const scheduleForm = document.getElementById('schedule-form');
+    const scheduleDate = document.getElementById('schedule-date');
+    const scheduleGame = document.getElementById('schedule-game');
+    const scheduleNote = document.getElementById('schedule-note');
+    const scheduleList = document.getElementById('schedule-list');
+
+    // The token only lives for this browser tab
+    const TOKEN_KEY = 'steamdle-admin-token';
+    let games = [];
+    let expandedGameId = null;
+
+    function setStatus(message, isError = false) {
+        statusText.textContent = message;
+        statusText.classList.toggle('admin-error', isError);
+    }
+
+    async function adminFetch(path, options = {}) {
+        const response = await fetch(`/api/admin${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ''}`
+            },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        return data;
+    }
+
+    // Runs an admin action, reports failures and refreshes the table afterwards
+    async function runAction(action, successMessage) {
+        try {
+            await action();
+            if (successMessage) setStatus(successMessage);
+        } catch (error) {
+            console.error("[admin] Action failed:", error.message);
+            setStatus(`Error: ${error.message}`, true);
+        }
+        await loadGames();
+    }
+
+    function moveItem(list, index, offset) {
+        const ids = list.map(item => item.id);
+        const target = index + offset;
+        if (target < 0 || target >= ids.length) return null;
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        return ids;
+    }
+
+    async function loadGames() {
+        try {
+            games = await adminFetch('/games');
+            adminContent.classList.remove('hidden');
+            renderScheduleGameOptions();
+            await renderSchedule();
+            await renderGames();
+        } catch (error) {
+            adminContent.classList.add('hidden');
+            setStatus(`Error: ${error.message}`, true);
+        }
+    }
+
+    async function renderGames() {
+        gamesTableBody.innerHTML = '';
+        for (const [index, game] of games.entries()) {
+            const row = document.createElement('tr');
+            if (!game.is_active) row.classList.add('inactive');
+
+            const orderCell = document.createElement('td');
+            orderCell.appendChild(createButton('▲', () => reorderGames(index, -1)));
+            orderCell.appendChild(createButton('▼', () => reorderGames(index, 1)));
+            row.appendChild(orderCell);
+
+            const titleInput = document.createElement('input');
+            titleInput.value = game.title;
+            row.appendChild(wrapInCell(titleInput));
+
+            const appIdInput = document.createElement('input');
+            appIdInput.value = game.steam_app_id;
+            appIdInput.size = 8;
+            row.appendChild(wrapInCell(appIdInput));
+
+            const reviewsCell = document.createElement('td');
+            reviewsCell.textContent = `${game.scraped_review_count}/${game.review_count} scraped`;
+            row.appendChild(reviewsCell);
+
+            const activeCheckbox = document.createElement('input');
+            activeCheckbox.type = 'checkbox';
+            activeCheckbox.checked = game.is_active;
+            activeCheckbox.addEventListener('change', () => runAction(
+                () => adminFetch(`/games/${game.id}`, { method: 'PATCH', body: { is_active: activeCheckbox.checked } }),
+                `${game.title} ${activeCheckbox.checked ? 'activated' : 'deactivated'}.`
+            ));
+            row.appendChild(wrapInCell(activeCheckbox));
+
+            const actionsCell = document.createElement('td');
+            actionsCell.appendChild(createButton('Save', () => runAction(
+                () => adminFetch(`/games/${game.id}`, { method: 'PATCH', body: { title: titleInput.value, steam_app_id: appIdInput.value } }),
+                `Saved ${titleInput.value}.`
+            )));
+            actionsCell.appendChild(createButton(expandedGameId === game.id ? 'Hide Reviews' : 'Reviews', () => {
+                expandedGameId = expandedGameId === game.id ? null : game.id;
+                renderGames();
+            }));
+            row.appendChild(actionsCell);
+            gamesTableBody.appendChild(row);
+
+            if (expandedGameId === game.id) {
+                gamesTableBody.appendChild(await renderReviewsRow(game));
+            }
+        }
+    }
+
+    async function renderReviewsRow(game) {
+        const row = document.createElement('tr');
+        row.classList.add('reviews-row');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        row.appendChild(cell);
+
+        let reviews;
+        try {
+            reviews = await adminFetch(`/games/${game.id}/reviews`);
+        } catch (error) {
+            cell.textContent = `Error loading reviews: ${error.message}`;
+            return row;
+        }
+
+        const aliasForm = document.createElement('form');
+        aliasForm.classList.add('admin-form');
+        const aliasInput = document.createElement('input');
+        aliasInput.placeholder = "Accepted aliases, comma-separated (e.g. RE4, RE 4)";
+        aliasInput.value = game.aliases.join(', ');
+        aliasForm.appendChild(aliasInput);
+        const aliasButton = document.createElement('button');
+        aliasButton.type = 'submit';
+        aliasButton.textContent = 'Save Aliases';
+        aliasForm.appendChild(aliasButton);
+        aliasForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const aliases = aliasInput.value.split(',').map(alias => alias.trim()).filter(Boolean);
+            runAction(() => adminFetch(`/games/${game.id}/aliases`, { method: 'PUT', body: { aliases } }), `Saved aliases for ${game.title}.`);
+        });
+        cell.appendChild(aliasForm);
+
+        const tagForm = document.createElement('form');
+        tagForm.classList.add('admin-form');
+        const tagInput = document.createElement('input');
+        tagInput.placeholder = "Tags, comma-separated (e.g. indie, co-op). Genres count as tags already";
+        tagInput.value = game.tags.join(', ');
+        tagForm.appendChild(tagInput);
+        const tagButton = document.createElement('button');
+        tagButton.type = 'submit';
+        tagButton.textContent = 'Save Tags';
+        tagForm.appendChild(tagButton);
+        tagForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const tags = tagInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+            runAction(() => adminFetch(`/games/${game.id}/tags`, { method: 'PUT', body: { tags } }), `Saved tags for ${game.title}.`);
+        });
+        cell.appendChild(tagForm);
+
+        const list = document.createElement('ol');
+        list.classList.add('admin-review-list');
+        reviews.forEach((review, index) => {
+            const li = document.createElement('li');
+            if (index >= 6) li.classList.add('spare-review');
+
+            const urlInput = document.createElement('input');
+            urlInput.value = review.review_page_url;
+            li.appendChild(urlInput);
+
+            const status = document.createElement('span');
+            status.classList.add('scrape-status', `scrape-status-${review.scrape_status}`);
+            status.textContent = index >= 6 ? `spare · ${review.scrape_status}` : review.scrape_status;
+            status.title = review.scrape_error || '';
+            li.appendChild(status);
+
+            li.appendChild(createButton('▲', () => reorderReviews(game, reviews, index, -1)));
+            li.appendChild(createButton('▼', () => reorderReviews(game, reviews, index, 1)));
+            li.appendChild(createButton('Save', () => runAction(
+                () => adminFetch(`/reviews/${review.id}`, { method: 'PATCH', body: { review_page_url: urlInput.value } }),
+                "Review URL saved. It will be re-scraped."
+            )));
+            li.appendChild(createButton('Delete', () => {
+                if (!confirm("Delete this review?")) return;
+                runAction(() => adminFetch(`/reviews/${review.id}`, { method: 'DELETE' }), "Review deleted.");
+            }));
+            list.appendChild(li);
+        });
+        cell.appendChild(list);
+
+        const addForm = document.createElement('form');
+        addForm.classList.add('admin-form');
+        const addInput = document.createElement('input');
+        addInput.placeholder = "New review page URL";
+        addInput.required = true;
+        addForm.appendChild(addInput);
+        const addButton = document.createElement('button');
+        addButton.type = 'submit';
+        addButton.textContent = 'Add Review';
+        addForm.appendChild(addButton);
+        addForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            runAction(() => adminFetch(`/games/${game.id}/reviews`, { method: 'POST', body: { review_page_url: addInput.value } }), "Review added.");
+        });
+        cell.appendChild(addForm);
+        return row;
+    }
+
+    function renderScheduleGameOptions() {
+        const selected = scheduleGame.value;
+        scheduleGame.innerHTML = '';
+        games.filter(game => game.is_active).forEach(game => {
+            const option = document.createElement('option');
+            option.value = game.id;
+            option.textContent = game.title;
+            scheduleGame.appendChild(option);
+        });
+        if (selected) scheduleGame.value = selected;
+    }
+
+    async function renderSchedule() {
+        scheduleList.innerHTML = '';
+        const entries = await adminFetch('/schedule?limit=30');
+        if (entries.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = "Nothing scheduled. Upcoming days will be picked at random.";
+            scheduleList.appendChild(li);
+            return;
+        }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.textContent = `${entry.puzzle_date}: ${entry.title} (${entry.scraped_review_count} clues ready)${entry.note ? ` · ${entry.note}` : ''}`;
+            li.appendChild(createButton('Remove', () => runAction(
+                () => adminFetch(`/schedule/${entry.puzzle_date}`, { method: 'DELETE' }),
+                `Cleared ${entry.puzzle_date}.`
+            )));
+            scheduleList.appendChild(li);
+        });
+    }
+
+    function reorderGames(index, offset) {
+        const ids = moveItem(games, index, offset);
+        if (ids) runAction(() => adminFetch('/games/order', { method: 'PUT', body: { ids } }));
+    }
+
+    function reorderReviews(game, reviews, index, offset) {
+        const ids = moveItem(reviews, index, offset);
+        if (ids) runAction(() => adminFetch(`/games/${game.id}/reviews/order`, { method: 'PUT', body: { ids } }));
+    }
+
+    function createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function wrapInCell(element) {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        return cell;
+    }
+
+    // --- Event Listeners ---
+    tokenForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        sessionStorage.setItem(TOKEN_KEY, tokenInput.value);
+        tokenInput.value = '';
+        setStatus("Connecting...");
+        loadGames().then(() => {
+            if (!adminContent.classList.contains('hidden')) setStatus("Connected.");
+        });
+    });
+
+    addGameForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        // The first 6 URLs are the clues, the rest are spares
+        const urls = newGameReviews.value.split('\n').map(url => url.trim()).filter(Boolean);
+        const body = { title: newGameTitle.value, steam_app_id: newGameAppId.value, reviews: urls.slice(0, 6), spare_reviews: urls.slice(6) };
+        runAction(async () => {
+            await adminFetch('/games', { method: 'POST', body });
+            addGameForm.reset();
+        }, `Added ${newGameTitle.value}.`);
+    });
+
+    scheduleForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        runAction(
+            () => adminFetch(`/schedule/${scheduleDate.value}`, { method: 'PUT', body: { game_id: Number(scheduleGame.value), note: scheduleNote.value } }),
+            `Scheduled for ${scheduleDate.value}.`
+        );
+    });
+
+    if (sessionStorage.getItem(TOKEN_KEY)) {
+        loadGames();
+    }
+});
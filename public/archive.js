@@ -0,0 +1,83 @@
+document.addEventListener('DOMContentLoaded', () => {
+    // DOM Elements
+    const archiveList = document.getElementById('archive-list');
+    const loadingMessage = document.getElementById('archive-loading-message');
+    const dateForm = document.getElementById('archive-date-form');
+    const dateInput = document.getElementById('archive-date-input');
+
+    // Same keys script.js saves game state under
+    const GAME_STATE_KEY_PREFIX = 'steamdle-game-';
+    const ARCHIVE_STATE_KEY_PREFIX = 'steamdle-archive-';
+
+    // A puzzle may have been played on its own day or later from the archive
+    function getSavedStatus(date) {
+        for (const prefix of [GAME_STATE_KEY_PREFIX, ARCHIVE_STATE_KEY_PREFIX]) {
+            try {
+                const saved = JSON.parse(localStorage.getItem(prefix + date));
+                if (saved && saved.status) return saved.status;
+            } catch (error) {
+                console.warn(`[archive] Could not read saved game for ${date}:`, error);
+            }
+        }
+        return null;
+    }
+
+    const STATUS_LABELS = {
+        won: '✅ Solved',
+        lost: '❌ Missed',
+        playing: '⏳ In progress'
+    };
+
+    async function loadArchive() {
+        try {
+            const response = await fetch('/api/puzzles');
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: "Failed to load the archive." }));
+                throw new Error(errorData.error || `Server error: ${response.status}`);
+            }
+            const puzzles = await response.json();
+            loadingMessage.classList.add('hidden');
+
+            if (puzzles.length === 0) {
+                loadingMessage.textContent = "No previous puzzles yet. Check back tomorrow!";
+                loadingMessage.classList.remove('hidden');
+                return;
+            }
+
+            puzzles.forEach(puzzle => {
+                const li = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `/?puzzle=${puzzle.puzzleNumber}`;
+                link.textContent = `Steamdle #${puzzle.puzzleNumber}`;
+                li.appendChild(link);
+
+                const dateSpan = document.createElement('span');
+                dateSpan.classList.add('archive-date');
+                dateSpan.textContent = puzzle.date;
+                li.appendChild(dateSpan);
+
+                const status = getSavedStatus(puzzle.date);
+                if (status) {
+                    const statusSpan = document.createElement('span');
+                    statusSpan.classList.add('archive-status', `archive-status-${status}`);
+                    statusSpan.textContent = STATUS_LABELS[status] || status;
+                    li.appendChild(statusSpan);
+                }
+                archiveList.appendChild(li);
+            });
+        } catch (error) {
+            console.error("[archive] Error loading archive:", error.message);
+            loadingMessage.textContent = `Error: ${error.message} Please try refreshing.`;
+            loadingMessage.classList.remove('hidden');
+        }
+    }
+
+    dateForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (dateInput.value) {
+            window.location.href = `/?date=${encodeURIComponent(dateInput.value)}`;
+        }
+    });
+
+    loadArchive();
+});
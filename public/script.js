@@ -4,6 +4,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const loadingMessage = document.getElementById('loading-message');
     const guessInput = document.getElementById('guess-input');
     const guessButton = document.getElementById('guess-button');
+    const skipButton = document.getElementById('skip-button');
     const previousGuessesList = document.getElementById('previous-guesses-list');
     const guessesRemainingSpan = document.getElementById('guesses-remaining');
     const gameOverMessageDiv = document.getElementById('game-over-message');
@@ -13,14 +14,564 @@ document.addEventListener('DOMContentLoaded', () => {
     const steamLink = document.getElementById('steam-link');
     const shareButton = document.getElementById('share-button');
     const gameTitlesDatalist = document.getElementById('game-titles-list');
+    const puzzleInfo = document.getElementById('puzzle-info');
+    const nextPuzzleCountdown = document.getElementById('next-puzzle-countdown');
+    const statsButton = document.getElementById('stats-button');
+    const statsModal = document.getElementById('stats-modal');
+    const statsCloseButton = document.getElementById('stats-close-button');
+    const statsPlayed = document.getElementById('stats-played');
+    const statsWinPercent = document.getElementById('stats-win-percent');
+    const statsCurrentStreak = document.getElementById('stats-current-streak');
+    const statsMaxStreak = document.getElementById('stats-max-streak');
+    const statsDistribution = document.getElementById('stats-distribution');
+    const statsModeTabs = document.querySelectorAll('.stats-mode-tab');
+    const hardModeCheckbox = document.getElementById('hard-mode-checkbox');
+    const hintStrip = document.getElementById('hint-strip');
+    const playAgainButton = document.getElementById('play-again-button');
+    const statsTitle = document.getElementById('stats-title');
+    const puzzleCategory = document.getElementById('puzzle-category');
+    const practiceTagPicker = document.getElementById('practice-tag-picker');
+    const practiceTagSelect = document.getElementById('practice-tag-select');
+    const globalResults = document.getElementById('global-results');
+    const globalResultsSummary = document.getElementById('global-results-summary');
+    const globalResultsDistribution = document.getElementById('global-results-distribution');
+    const accountButton = document.getElementById('account-button');
+    const accountModal = document.getElementById('account-modal');
+    const accountCloseButton = document.getElementById('account-close-button');
+    const accountSignedOut = document.getElementById('account-signed-out');
+    const accountSignedIn = document.getElementById('account-signed-in');
+    const accountLoginForm = document.getElementById('account-login-form');
+    const accountUsernameInput = document.getElementById('account-username');
+    const accountPasswordInput = document.getElementById('account-password');
+    const accountRegisterButton = document.getElementById('account-register-button');
+    const accountLinkForm = document.getElementById('account-link-form');
+    const accountEmailInput = document.getElementById('account-email');
+    const accountName = document.getElementById('account-name');
+    const accountSyncButton = document.getElementById('account-sync-button');
+    const accountLogoutButton = document.getElementById('account-logout-button');
+    const accountMessage = document.getElementById('account-message');
+
+    // Archive mode: /?puzzle=142 or /?date=2025-06-01 plays a past puzzle
+    const urlParams = new URLSearchParams(window.location.search);
+    const requestedPuzzleNumber = urlParams.get('puzzle');
+    const requestedPuzzleDate = urlParams.get('date');
+    // Practice mode: /?practice=1 plays random games from the pool, as many as you like
+    const isPracticeMode = urlParams.has('practice');
+    // ...and /?practice=1&tag=indie only plays games with that tag
+    let practiceTag = urlParams.get('tag') || '';
 
     // Game State
-    let currentGame; // Will be fetched from backend { title, appId, reviews: [urls] }
+    let currentGame; // Will be fetched from backend { totalClues, state, reviews: [clues revealed so far] }
     let currentReviewIndex;
     let guessesLeft;
     let isGameOver;
     let shareGrid = []; 
+    let guessHistory = []; // Titles guessed so far, in order (null for a skipped clue)
+    let revealedHints = {}; // Hint key -> value, for hints the player chose to reveal
+    let hintMarks = []; // For each revealed hint, how many guesses had been made at the time
     let autocompleteDebounceTimer;
+    const suggestedAppIds = new Map(); // Suggested name -> Steam appid, for every suggestion shown so far
+    let countdownTimer;
+    let serverClockOffset = 0; // Server time minus local time, in ms
+
+    // --- Saved Game State (localStorage, one entry per puzzle date) ---
+    // Archive plays are kept under their own prefix so they never count towards the daily streak.
+    // Practice keeps a single entry: the practice game currently being played.
+    const GAME_STATE_KEY_PREFIX = 'steamdle-game-';
+    const ARCHIVE_STATE_KEY_PREFIX = 'steamdle-archive-';
+    const PRACTICE_STATE_KEY = 'steamdle-practice-game';
+
+    function getGameStateKey(date) {
+        if (isPracticeMode) return PRACTICE_STATE_KEY;
+        return (currentGame && !currentGame.isDaily ? ARCHIVE_STATE_KEY_PREFIX : GAME_STATE_KEY_PREFIX) + date;
+    }
+
+    function loadGameState(date) {
+        try {
+            const saved = localStorage.getItem(getGameStateKey(date));
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.warn(`[loadGameState] Could not read saved game for ${date}:`, error);
+            return null;
+        }
+    }
+
+    // The saved state for the game that was just loaded, if any
+    function loadCurrentGameState() {
+        const savedState = loadGameState(currentGame.date);
+        if (savedState && isPracticeMode && savedState.practiceId !== currentGame.practiceId) return null;
+        if (savedState && savedState.status === 'playing' && !savedState.state) {
+            // Saved before the server kept track of progress; it can't be continued
+            console.warn("[loadCurrentGameState] Saved game has no progress token. Starting it over.");
+            return null;
+        }
+        return savedState;
+    }
+
+    function saveGameState() {
+        if (!currentGame || !(currentGame.date || currentGame.practiceId)) return;
+        const state = {
+            date: currentGame.date,
+            practiceId: currentGame.practiceId,
+            totalClues: currentGame.totalClues,
+            reviews: currentGame.reviews,
+            state: currentGame.state,
+            currentReviewIndex,
+            guessesLeft,
+            guesses: guessHistory,
+            shareGrid,
+            status: isGameOver ? (currentGame.didWin ? 'won' : 'lost') : 'playing',
+            hardMode: !!currentGame.hardMode,
+            revealedHints,
+            hintMarks,
+            solution: isGameOver ? { title: currentGame.title, appId: currentGame.appId, reviews: currentGame.reviews, matchedAlias: currentGame.matchedAlias } : null
+        };
+        try {
+            localStorage.setItem(getGameStateKey(currentGame.date), JSON.stringify(state));
+        } catch (error) {
+            console.warn("[saveGameState] Could not save game state:", error);
+        }
+    }
+
+    // --- Hard Mode (reviewer name, avatar, playtime and date hidden) ---
+    // The preference applies to new games; a game keeps the mode it was started in.
+    const HARD_MODE_KEY = 'steamdle-hard-mode';
+
+    function loadHardModePreference() {
+        return localStorage.getItem(HARD_MODE_KEY) === 'true';
+    }
+
+    function updateHardModeToggle() {
+        hardModeCheckbox.checked = !!(currentGame && currentGame.hardMode);
+        hardModeCheckbox.disabled = !currentGame || isGameOver || guessHistory.length > 0;
+    }
+
+    // --- Hints (unlocked by wrong guesses, revealed on request) ---
+    function renderHintStrip() {
+        const hints = currentGame && currentGame.hints ? currentGame.hints : [];
+        hintStrip.innerHTML = '';
+        hintStrip.classList.toggle('hidden', hints.length === 0);
+        const misses = guessHistory.length;
+
+        hints.forEach(hint => {
+            const item = document.createElement('div');
+            item.classList.add('hint-item');
+
+            if (revealedHints[hint.key] !== undefined) {
+                item.classList.add('revealed');
+                const label = document.createElement('span');
+                label.classList.add('hint-label');
+                label.textContent = `${hint.label}:`;
+                item.appendChild(label);
+                if (hint.key === 'headerImage') {
+                    const img = document.createElement('img');
+                    img.src = revealedHints[hint.key];
+                    img.alt = "Blurred header image";
+                    img.classList.add('hint-image');
+                    item.appendChild(img);
+                } else {
+                    const value = revealedHints[hint.key];
+                    item.appendChild(document.createTextNode(` ${Array.isArray(value) ? value.join(', ') : value}`));
+                }
+            } else if (misses >= hint.afterMisses && !isGameOver) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.classList.add('hint-reveal-button');
+                button.textContent = `💡 Reveal ${hint.label}`;
+                button.addEventListener('click', () => revealHint(hint, button));
+                item.appendChild(button);
+            } else {
+                item.classList.add('locked');
+                item.textContent = `🔒 ${hint.label} (after ${hint.afterMisses} miss${hint.afterMisses === 1 ? '' : 'es'})`;
+            }
+            hintStrip.appendChild(item);
+        });
+    }
+
+    async function revealHint(hint, button) {
+        button.disabled = true;
+        try {
+            const params = new URLSearchParams({ key: hint.key, state: currentGame.state });
+            const response = await fetch(`/api/hint?${params}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+            revealedHints[hint.key] = data.value;
+            hintMarks.push(guessHistory.length);
+            saveGameState();
+        } catch (error) {
+            console.error("[revealHint] Failed to reveal hint:", error.message);
+            alert(`Could not load the hint: ${error.message}`);
+        }
+        renderHintStrip();
+    }
+
+    // --- Player Statistics (daily puzzles only; archive plays are never recorded here) ---
+    // Stored as { "yyyy-MM-dd": { puzzleNumber, won, clues, hardMode, playedAt } } so each day
+    // counts once: the first finished play is kept.
+    // Normal and hard mode results are shown as separate stats.
+    const RESULTS_KEY = 'steamdle-results';
+    const MAX_CLUES = 6;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function loadResults() {
+        try {
+            return JSON.parse(localStorage.getItem(RESULTS_KEY)) || {};
+        } catch (error) {
+            console.warn("[loadResults] Could not read stored results:", error);
+            return {};
+        }
+    }
+
+    function recordResult(didWin) {
+        if (currentGame.practiceId) {
+            recordPracticeResult(didWin);
+            return;
+        }
+        if (!currentGame.isDaily) return;
+        const results = loadResults();
+        if (results[currentGame.date]) return; // Reopening a finished game, or already synced from another device
+        results[currentGame.date] = {
+            puzzleNumber: currentGame.puzzleNumber,
+            won: didWin,
+            clues: shareGrid.length,
+            hardMode: !!currentGame.hardMode,
+            playedAt: new Date().toISOString()
+        };
+        try {
+            localStorage.setItem(RESULTS_KEY, JSON.stringify(results));
+        } catch (error) {
+            console.warn("[recordResult] Could not save result:", error);
+        }
+        syncResults();
+    }
+
+    function daysBetween(earlierDate, laterDate) {
+        return Math.round((Date.parse(`${laterDate}T00:00:00Z`) - Date.parse(`${earlierDate}T00:00:00Z`)) / DAY_MS);
+    }
+
+    // `todayDate` is the current daily puzzle date (if known), used to break a streak
+    // when the player skipped yesterday.
+    function computeStats(results, todayDate) {
+        const dates = Object.keys(results).sort();
+        const stats = { played: dates.length, wins: 0, currentStreak: 0, maxStreak: 0, distribution: new Array(MAX_CLUES).fill(0) };
+
+        let streak = 0;
+        let previousDate = null;
+        dates.forEach(date => {
+            const result = results[date];
+            if (result.won) {
+                stats.wins++;
+                if (result.clues >= 1 && result.clues <= MAX_CLUES) stats.distribution[result.clues - 1]++;
+                streak = (previousDate && daysBetween(previousDate, date) === 1) ? streak + 1 : 1;
+            } else {
+                streak = 0;
+            }
+            stats.maxStreak = Math.max(stats.maxStreak, streak);
+            previousDate = date;
+        });
+
+        const lastDate = dates[dates.length - 1];
+        const streakStillAlive = lastDate && (!todayDate || daysBetween(lastDate, todayDate) <= 1);
+        stats.currentStreak = streakStillAlive ? streak : 0;
+        return stats;
+    }
+
+    // --- Global Results (how every player did on today's puzzle) ---
+    // The server records each finished game from its guesses, anonymously under a random
+    // per-device token sent with them, so each device counts once per puzzle.
+    const DEVICE_TOKEN_KEY = 'steamdle-device-token';
+
+    function getDeviceToken() {
+        let token = localStorage.getItem(DEVICE_TOKEN_KEY);
+        if (!token) {
+            token = window.crypto && crypto.randomUUID
+                ? crypto.randomUUID()
+                : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            localStorage.setItem(DEVICE_TOKEN_KEY, token);
+        }
+        return token;
+    }
+
+    async function loadGlobalResults(didWin) {
+        globalResults.classList.add('hidden');
+        if (!currentGame.isDaily) return;
+        try {
+            const response = await fetch(`/api/results?date=${encodeURIComponent(currentGame.date)}`);
+            const results = await response.json();
+            if (!response.ok) throw new Error(results.error || `Server error: ${response.status}`);
+            renderGlobalResults(results, didWin);
+        } catch (error) {
+            console.error("[loadGlobalResults] Could not load everyone's results:", error.message);
+        }
+    }
+
+    // `results` is { players, wins, losses, distribution } from /api/results
+    function renderGlobalResults(results, didWin) {
+        if (!results.players) return;
+        const playerClues = shareGrid.length;
+        if (didWin) {
+            // Share of players who did at least as well, so a first-clue win is "top X%" too
+            const atLeastAsGood = results.distribution.slice(0, playerClues).reduce((sum, count) => sum + count, 0);
+            const topPercent = Math.max(1, Math.ceil((atLeastAsGood / results.players) * 100));
+            globalResultsSummary.textContent = `You were in the top ${topPercent}% of ${results.players} player${results.players === 1 ? '' : 's'}.`;
+        } else {
+            globalResultsSummary.textContent = `${results.wins} of ${results.players} player${results.players === 1 ? '' : 's'} solved it.`;
+        }
+
+        const rows = results.distribution.map((count, index) => ({ label: index + 1, count, isPlayer: didWin && playerClues === index + 1 }));
+        rows.push({ label: 'X', count: results.losses, isPlayer: !didWin });
+        const maxCount = Math.max(1, ...rows.map(row => row.count));
+
+        globalResultsDistribution.innerHTML = '';
+        rows.forEach(({ label, count, isPlayer }) => {
+            const row = document.createElement('div');
+            row.classList.add('distribution-row');
+
+            const labelSpan = document.createElement('span');
+            labelSpan.classList.add('distribution-label');
+            labelSpan.textContent = label;
+            row.appendChild(labelSpan);
+
+            const bar = document.createElement('span');
+            bar.classList.add('distribution-bar');
+            if (isPlayer) bar.classList.add('highlight');
+            bar.style.width = `${Math.max(8, (count / maxCount) * 100)}%`;
+            bar.textContent = count;
+            row.appendChild(bar);
+
+            globalResultsDistribution.appendChild(row);
+        });
+        globalResults.classList.remove('hidden');
+    }
+
+    // --- Practice Statistics (kept apart from the daily ones) ---
+    // Stored as a list of { won, clues, hardMode }, oldest first. Streaks count wins in a row.
+    const PRACTICE_RESULTS_KEY = 'steamdle-practice-results';
+    // Recently played practice game IDs, newest last, sent so they aren't served again too soon
+    const PRACTICE_RECENT_KEY = 'steamdle-practice-recent';
+    const PRACTICE_RECENT_LIMIT = 20;
+
+    function loadPracticeResults() {
+        try {
+            return JSON.parse(localStorage.getItem(PRACTICE_RESULTS_KEY)) || [];
+        } catch (error) {
+            console.warn("[loadPracticeResults] Could not read stored practice results:", error);
+            return [];
+        }
+    }
+
+    function recordPracticeResult(didWin) {
+        const results = loadPracticeResults();
+        results.push({ won: didWin, clues: shareGrid.length, hardMode: !!currentGame.hardMode });
+        try {
+            localStorage.setItem(PRACTICE_RESULTS_KEY, JSON.stringify(results));
+        } catch (error) {
+            console.warn("[recordPracticeResult] Could not save practice result:", error);
+        }
+    }
+
+    function computePracticeStats(results) {
+        const stats = { played: results.length, wins: 0, currentStreak: 0, maxStreak: 0, distribution: new Array(MAX_CLUES).fill(0) };
+        results.forEach(result => {
+            if (result.won) {
+                stats.wins++;
+                if (result.clues >= 1 && result.clues <= MAX_CLUES) stats.distribution[result.clues - 1]++;
+                stats.currentStreak++;
+            } else {
+                stats.currentStreak = 0;
+            }
+            stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+        });
+        return stats;
+    }
+
+    function loadRecentPracticeIds() {
+        try {
+            return JSON.parse(localStorage.getItem(PRACTICE_RECENT_KEY)) || [];
+        } catch (error) {
+            console.warn("[loadRecentPracticeIds] Could not read recent practice games:", error);
+            return [];
+        }
+    }
+
+    function rememberPracticeGame(practiceId) {
+        const recent = loadRecentPracticeIds().filter(id => id !== practiceId);
+        recent.push(practiceId);
+        try {
+            localStorage.setItem(PRACTICE_RECENT_KEY, JSON.stringify(recent.slice(-PRACTICE_RECENT_LIMIT)));
+        } catch (error) {
+            console.warn("[rememberPracticeGame] Could not save recent practice games:", error);
+        }
+    }
+
+    let statsMode = 'normal'; // Which mode's stats the modal shows: 'normal' | 'hard'
+
+    function resultsForMode(results, mode) {
+        const filtered = {};
+        Object.keys(results).forEach(date => {
+            if (!!results[date].hardMode === (mode === 'hard')) filtered[date] = results[date];
+        });
+        return filtered;
+    }
+
+    function renderStats() {
+        statsModeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === statsMode));
+        statsTitle.textContent = isPracticeMode ? "Practice Statistics" : "Statistics";
+        const results = resultsForMode(loadResults(), statsMode);
+        const stats = isPracticeMode
+            ? computePracticeStats(loadPracticeResults().filter(result => !!result.hardMode === (statsMode === 'hard')))
+            : computeStats(results, currentGame && currentGame.isDaily ? currentGame.date : null);
+        statsPlayed.textContent = stats.played;
+        statsWinPercent.textContent = stats.played ? Math.round((stats.wins / stats.played) * 100) : 0;
+        statsCurrentStreak.textContent = stats.currentStreak;
+        statsMaxStreak.textContent = stats.maxStreak;
+
+        // Highlight the bar for today's win, like Wordle does
+        const todayResult = currentGame && currentGame.isDaily ? results[currentGame.date] : null;
+        const highlightClues = todayResult && todayResult.won ? todayResult.clues : null;
+        const maxCount = Math.max(1, ...stats.distribution);
+
+        statsDistribution.innerHTML = '';
+        stats.distribution.forEach((count, index) => {
+            const row = document.createElement('div');
+            row.classList.add('distribution-row');
+
+            const label = document.createElement('span');
+            label.classList.add('distribution-label');
+            label.textContent = index + 1;
+            row.appendChild(label);
+
+            const bar = document.createElement('span');
+            bar.classList.add('distribution-bar');
+            if (highlightClues === index + 1) bar.classList.add('highlight');
+            bar.style.width = `${Math.max(8, (count / maxCount) * 100)}%`;
+            bar.textContent = count;
+            row.appendChild(bar);
+
+            statsDistribution.appendChild(row);
+        });
+    }
+
+    function openStatsModal() {
+        statsMode = currentGame && currentGame.hardMode ? 'hard' : 'normal';
+        renderStats();
+        statsModal.classList.remove('hidden');
+    }
+
+    function closeStatsModal() {
+        statsModal.classList.add('hidden');
+    }
+
+    // --- Account (optional; keeps daily statistics in sync between devices) ---
+    // Stored as { token, username }. The server merges results per puzzle date, so a sync
+    // sends every local result and keeps the merged copy it gets back.
+    const ACCOUNT_KEY = 'steamdle-account';
+
+    function loadAccount() {
+        try {
+            return JSON.parse(localStorage.getItem(ACCOUNT_KEY));
+        } catch (error) {
+            console.warn("[loadAccount] Could not read stored account:", error);
+            return null;
+        }
+    }
+
+    function saveAccount(account) {
+        if (account) localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+        else localStorage.removeItem(ACCOUNT_KEY);
+    }
+
+    async function accountRequest(path, { body, token } = {}) {
+        const headers = {};
+        if (body) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`/api/account${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || `Server error: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    function setAccountMessage(text, isError = false) {
+        accountMessage.textContent = text;
+        accountMessage.classList.toggle('error', isError);
+    }
+
+    function renderAccount() {
+        const account = loadAccount();
+        accountSignedOut.classList.toggle('hidden', !!account);
+        accountSignedIn.classList.toggle('hidden', !account);
+        accountName.textContent = account ? account.username : '';
+        accountButton.textContent = account ? account.username : 'Sign In';
+    }
+
+    async function syncResults() {
+        const account = loadAccount();
+        if (!account) return;
+        try {
+            const { results } = await accountRequest('/sync', { body: { results: loadResults() }, token: account.token });
+            // Results the server skipped as invalid stay on this device
+            localStorage.setItem(RESULTS_KEY, JSON.stringify({ ...loadResults(), ...results }));
+            if (!statsModal.classList.contains('hidden')) renderStats();
+            return true;
+        } catch (error) {
+            console.error("[syncResults] Could not sync results:", error.message);
+            if (error.status === 401) {
+                saveAccount(null);
+                renderAccount();
+            }
+            return false;
+        }
+    }
+
+    // `emailConfirmationSent` is set after signing up with an email, which is only added
+    // to the account once the link mailed to it is used
+    async function signIn({ token, user, emailConfirmationSent }) {
+        saveAccount({ token, username: user.username });
+        renderAccount();
+        accountPasswordInput.value = '';
+        const synced = await syncResults();
+        const confirmNote = emailConfirmationSent ? " Check your email to confirm your address." : "";
+        setAccountMessage((synced ? "Signed in. Your statistics are synced." : "Signed in, but your statistics couldn't be synced yet.") + confirmNote);
+    }
+
+    async function submitAccountForm(path, body) {
+        setAccountMessage('');
+        try {
+            await signIn(await accountRequest(path, { body }));
+        } catch (error) {
+            setAccountMessage(error.message, true);
+        }
+    }
+
+    // Sign-in links from the email look like /?login=<token>
+    async function handleLoginLink() {
+        const loginToken = urlParams.get('login');
+        if (!loginToken) return false;
+        urlParams.delete('login');
+        const query = urlParams.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+        accountModal.classList.remove('hidden');
+        await submitAccountForm('/login-link/verify', { token: loginToken });
+        return true;
+    }
+
+    function openAccountModal() {
+        renderAccount();
+        setAccountMessage('');
+        accountModal.classList.remove('hidden');
+    }
+
+    function closeAccountModal() {
+        accountModal.classList.add('hidden');
+    }
 
     // Helper Functions
     function normalizeString(str) {
@@ -56,26 +607,98 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function populateAutocompleteDatalist(suggestionsArray) {
         gameTitlesDatalist.innerHTML = '';
-        suggestionsArray.forEach(gameName => {
+        suggestionsArray.forEach(({ name, appid }) => {
+            suggestedAppIds.set(name, appid);
             const option = document.createElement('option');
-            option.value = gameName;
+            option.value = name;
             gameTitlesDatalist.appendChild(option);
         });
     }
 
+    // The input carries the appid of the suggestion its text matches, if any. Typed text that
+    // matches no suggestion is still sent and checked as free text.
+    function updateGuessAppId() {
+        const appid = suggestedAppIds.get(guessInput.value.trim());
+        if (appid) guessInput.dataset.appid = appid;
+        else delete guessInput.dataset.appid;
+    }
+
     // --- Game Initialization & Flow ---
+    // A practice game in progress is picked up again; otherwise a new one is requested,
+    // leaving out the ones played recently.
+    function getPracticeEndpoint(hardParam) {
+        const tagParam = practiceTag ? `&tag=${encodeURIComponent(practiceTag)}` : '';
+        const savedState = loadGameState();
+        if (savedState && savedState.status === 'playing' && savedState.practiceId) {
+            return `/api/practice-game?id=${encodeURIComponent(savedState.practiceId)}${tagParam}${hardParam ? `&${hardParam}` : ''}`;
+        }
+        const exclude = loadRecentPracticeIds().join(',');
+        return `/api/practice-game?exclude=${encodeURIComponent(exclude)}${tagParam}${hardParam ? `&${hardParam}` : ''}`;
+    }
+
+    // Fills the practice category picker from /api/tags (only tags shared by 2+ games are offered)
+    async function loadPracticeTags() {
+        practiceTagPicker.classList.remove('hidden');
+        try {
+            const response = await fetch('/api/tags');
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            const tags = await response.json();
+            tags.filter(({ tag, count }) => count >= 2 || tag === practiceTag).forEach(({ tag, count }) => {
+                const option = document.createElement('option');
+                option.value = tag;
+                option.textContent = `${tag} (${count})`;
+                practiceTagSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error("[loadPracticeTags] Could not load practice categories:", error.message);
+        }
+        practiceTagSelect.value = practiceTag;
+    }
+
+    function renderPuzzleCategory() {
+        puzzleCategory.classList.toggle('hidden', !currentGame.category);
+        puzzleCategory.textContent = currentGame.category ? `Category: ${currentGame.category}` : '';
+    }
+
+    function getPuzzleEndpoint() {
+        const hardParam = loadHardModePreference() ? 'hard=1' : '';
+        if (isPracticeMode) return getPracticeEndpoint(hardParam);
+        if (requestedPuzzleNumber) return `/api/puzzle/${encodeURIComponent(requestedPuzzleNumber)}${hardParam ? `?${hardParam}` : ''}`;
+        if (requestedPuzzleDate) return `/api/puzzle?date=${encodeURIComponent(requestedPuzzleDate)}${hardParam ? `&${hardParam}` : ''}`;
+        return `/api/daily-game${hardParam ? `?${hardParam}` : ''}`;
+    }
+
     async function fetchDailyGame() {
         try {
-            const response = await fetch('/api/daily-game');
+            const savedPractice = isPracticeMode && loadGameState();
+            if (savedPractice && savedPractice.status !== 'playing') {
+                // A finished practice game is never reopened, even if the server picks it again
+                localStorage.removeItem(PRACTICE_STATE_KEY);
+            }
+            let response = await fetch(getPuzzleEndpoint());
+            if (isPracticeMode && response.status === 404 && loadGameState()) {
+                // The game in progress was taken out of the pool; start a new one instead
+                console.warn("Frontend: Saved practice game is no longer available. Starting a new one.");
+                localStorage.removeItem(PRACTICE_STATE_KEY);
+                response = await fetch(getPuzzleEndpoint());
+            }
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ error: "Failed to fetch daily game data." }));
                 throw new Error(errorData.error || `Server error: ${response.status}`);
             }
             currentGame = await response.json();
-            if (!currentGame || !currentGame.title || !currentGame.reviews || currentGame.reviews.length === 0) {
+            if (currentGame.serverTime) serverClockOffset = Date.parse(currentGame.serverTime) - Date.now();
+            if (!currentGame || !currentGame.totalClues || !currentGame.reviews || currentGame.reviews.length === 0) {
                 throw new Error("Incomplete game data received from server.");
             }
             console.log("Frontend: Received daily game data:", currentGame);
+            if (currentGame.practiceId) {
+                puzzleInfo.textContent = "Practice · play as many as you like";
+            } else {
+                puzzleInfo.textContent = currentGame.isDaily
+                    ? `Steamdle #${currentGame.puzzleNumber} · ${currentGame.date}`
+                    : `Archive: Steamdle #${currentGame.puzzleNumber} · ${currentGame.date}`;
+            }
             return true;
         } catch (error) {
             console.error("Frontend: Error fetching daily game:", error.message);
@@ -83,6 +706,7 @@ document.addEventListener('DOMContentLoaded', () => {
             reviewsContainer.innerHTML = `<p class="review-image-error">Error loading today's game: ${error.message}. Please try refreshing the page.</p>`;
             guessInput.disabled = true;
             guessButton.disabled = true;
+            skipButton.disabled = true;
             return false;
         }
     }
@@ -101,9 +725,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         currentReviewIndex = 0;
-        guessesLeft = 6;
+        guessesLeft = currentGame.totalClues;
         isGameOver = false;
         shareGrid = [];
+        guessHistory = [];
+        revealedHints = {};
+        hintMarks = [];
 
         reviewsContainer.innerHTML = '';
         previousGuessesList.innerHTML = '';
@@ -118,18 +745,68 @@ document.addEventListener('DOMContentLoaded', () => {
         steamLink.classList.add('hidden');
         steamLink.href = '#';
         shareButton.classList.add('hidden');
+        playAgainButton.classList.add('hidden');
+        globalResults.classList.add('hidden');
+        nextPuzzleCountdown.classList.add('hidden');
+        clearInterval(countdownTimer);
         
         guessInput.value = '';
         guessInput.disabled = false;
         guessInput.placeholder = "Enter game title...";
         guessButton.disabled = false;
+        skipButton.disabled = false;
         
         gameTitlesDatalist.innerHTML = '';
-        
-        displayNextReview();
+
+        // A saved game keeps its own mode (and its own copy of the clues seen so far)
+        const savedState = loadCurrentGameState();
+        currentGame.hardMode = savedState ? !!savedState.hardMode : !!currentGame.hardMode;
+        if (savedState) {
+            restoreGameState(savedState);
+        } else {
+            if (currentGame.practiceId) rememberPracticeGame(currentGame.practiceId);
+            displayNextReview();
+        }
+        updateHardModeToggle();
+        renderPuzzleCategory();
+        renderHintStrip();
         console.log("Frontend: Game initialized.");
     }
 
+    function addPreviousGuess(guessedTitle) {
+        const li = document.createElement('li');
+        if (guessedTitle === null) {
+            li.textContent = "Skipped";
+            li.classList.add('skipped');
+        } else {
+            li.textContent = guessedTitle;
+        }
+        previousGuessesList.appendChild(li);
+    }
+
+    function restoreGameState(savedState) {
+        console.log(`Frontend: Restoring saved game for ${savedState.date} (${savedState.status}).`);
+        shareGrid = savedState.shareGrid || [];
+        guessHistory = savedState.guesses || [];
+        revealedHints = savedState.revealedHints || {};
+        hintMarks = savedState.hintMarks || [];
+        guessesLeft = savedState.guessesLeft;
+        guessesRemainingSpan.textContent = guessesLeft;
+        guessHistory.forEach(addPreviousGuess);
+
+        if (savedState.status !== 'playing' && savedState.solution) {
+            endGame(savedState.status === 'won', savedState.solution, true);
+            return;
+        }
+
+        currentGame.reviews = savedState.reviews;
+        currentGame.state = savedState.state;
+        for (let i = 0; i <= savedState.currentReviewIndex && i < currentGame.reviews.length; i++) {
+            currentReviewIndex = i;
+            displayNextReview();
+        }
+    }
+
     function displayNextReview() {
         if (isGameOver || !currentGame || currentReviewIndex >= currentGame.reviews.length) {
             return;
@@ -143,7 +820,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const errorWrapper = document.createElement('div');
             errorWrapper.classList.add('review-item-wrapper', 'loaded', 'review-error-item');
             errorWrapper.innerHTML = `
-            <span class="clue-number">Clue ${currentReviewIndex + 1} of ${currentGame.reviews.length}:</span>
+            <span class="clue-number">Clue ${currentReviewIndex + 1} of ${currentGame.totalClues}:</span>
             <p class="review-image-error">Oops! Could not load this review clue. '${reviewData.message}'</p>
             <p class="review-source-url-error">(Source: ${reviewData.originalUrl || 'N/A'})</p>
         `;
@@ -159,35 +836,36 @@ document.addEventListener('DOMContentLoaded', () => {
         // Clue Number
         const clueNumberSpan = document.createElement('span');
         clueNumberSpan.classList.add('clue-number');
-        clueNumberSpan.textContent = `Clue ${currentReviewIndex + 1} of ${currentGame.reviews.length}:`;
+        clueNumberSpan.textContent = `Clue ${currentReviewIndex + 1} of ${currentGame.totalClues}:`;
         reviewWrapper.appendChild(clueNumberSpan);
 
         // Main review card div
         const reviewCard = document.createElement('div');
         reviewCard.classList.add('steam-review-card');
 
-        // Review Header Section
+        // Review Header Section (left out entirely in hard mode)
         const reviewHeader = document.createElement('div');
         reviewHeader.classList.add('review-header');
         let headerHasContent = false;
+        if (!currentGame.hardMode) {
+            // Add Avatar if available
+            if (reviewData.reviewerAvatarUrl) {
+                const avatarImg = document.createElement('img');
+                avatarImg.src = reviewData.reviewerAvatarUrl;
+                avatarImg.alt = "Reviewer avatar";
+                avatarImg.classList.add('reviewer-avatar');
+                reviewHeader.appendChild(avatarImg);
+                headerHasContent = true;
+            }
 
-        // Add Avatar if available
-        if (reviewData.reviewerAvatarUrl) {
-            const avatarImg = document.createElement('img');
-            avatarImg.src = reviewData.reviewerAvatarUrl;
-            avatarImg.alt = "Reviewer avatar";
-            avatarImg.classList.add('reviewer-avatar');
-            reviewHeader.appendChild(avatarImg);
+            // Add Name if available (or use fallback)
+            const reviewerNameSpan = document.createElement('span');
+            reviewerNameSpan.classList.add('reviewer-name');
+            reviewerNameSpan.textContent = reviewData.reviewerName || "A Steam User";
+            reviewHeader.appendChild(reviewerNameSpan);
             headerHasContent = true;
         }
 
-        // Add Name if available (or use fallback)
-        const reviewerNameSpan = document.createElement('span');
-        reviewerNameSpan.classList.add('reviewer-name');
-        reviewerNameSpan.textContent = reviewData.reviewerName || "A Steam User";
-        reviewHeader.appendChild(reviewerNameSpan);
-        headerHasContent = true;
-
 
         // Append header to card ONLY if it has content
         if (headerHasContent) {
@@ -219,7 +897,7 @@ document.addEventListener('DOMContentLoaded', () => {
             detailsDiv.appendChild(recTextSpan);
         }
 
-        if (reviewData.playtime && reviewData.playtime !== "Playtime not shown") {
+        if (!currentGame.hardMode && reviewData.playtime && reviewData.playtime !== "Playtime not shown") {
             const playtimeP = document.createElement('p');
             playtimeP.classList.add('review-playtime');
             playtimeP.textContent = reviewData.playtime;
@@ -231,7 +909,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // End Recommendation Block
 
         // Date Posted
-        if (reviewData.datePosted && reviewData.datePosted !== "Date not found") {
+        if (!currentGame.hardMode && reviewData.datePosted && reviewData.datePosted !== "Date not found") {
             const dateP = document.createElement('p');
             dateP.classList.add('review-date');
             dateP.textContent = `Posted: ${reviewData.datePosted}`;
@@ -262,68 +940,132 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 50);
     }
 
-    function handleGuess() {
-        console.log("[handleGuess] Function called.");
+    // A null `guessedTitle` skips the current clue. A thrown error has `restart` set when the
+    // server can't continue the game from our progress token (e.g. it was already used).
+    async function submitGuess(guessedTitle, guessedAppId) {
+        const guess = guessedTitle === null ? { skip: true } : { guess: guessedTitle, appid: guessedAppId };
+        const response = await fetch('/api/guess', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...guess, state: currentGame.state, clueIndex: currentReviewIndex, hardMode: !!currentGame.hardMode, deviceToken: getDeviceToken() })
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ error: "Failed to check guess." }));
+            const error = new Error(errorData.error || `Server error: ${response.status}`);
+            error.restart = !!errorData.restart;
+            throw error;
+        }
+        return response.json();
+    }
+
+    // With `skip: true` the current clue is given up instead: it costs a guess like a wrong one
+    async function handleGuess({ skip = false } = {}) {
+        console.log(`[handleGuess] Function called${skip ? ' (skip)' : ''}.`);
         if (isGameOver || guessInput.disabled) {
             console.log("[handleGuess] Condition met to ignore guess (game over or input disabled).");
             return;
         }
 
-        const guessedTitle = guessInput.value.trim();
-        console.log(`[handleGuess] Guessed title (raw): "${guessInput.value}", Trimmed: "${guessedTitle}"`);
+        const guessedTitle = skip ? null : guessInput.value.trim();
+        if (!skip) console.log(`[handleGuess] Guessed title (raw): "${guessInput.value}", Trimmed: "${guessedTitle}"`);
 
-        if (!guessedTitle) {
+        if (!skip && !guessedTitle) {
             alert("Please enter a game title to guess.");
             console.log("[handleGuess] No title entered.");
             return;
         }
 
-        if (!currentGame || !currentGame.title) {
-            console.error("[handleGuess_ERROR] Critical error: currentGame or currentGame.title is not defined!");
+        if (!currentGame) {
+            console.error("[handleGuess_ERROR] Critical error: currentGame is not defined!");
             alert("A critical error occurred: Game data is missing. Please refresh.");
             return;
         }
-        console.log(`[handleGuess] Current game title for comparison: "${currentGame.title}"`);
 
-        const normalizedGuessedTitle = normalizeString(guessedTitle);
-        const normalizedCorrectTitle = normalizeString(currentGame.title);
-        console.log(`[handleGuess] Normalized guess: "${normalizedGuessedTitle}", Normalized correct: "${normalizedCorrectTitle}"`);
+        // Lock the input while the server checks the guess
+        guessInput.disabled = true;
+        guessButton.disabled = true;
+        skipButton.disabled = true;
 
-        if (normalizedGuessedTitle === normalizedCorrectTitle) {
+        let result;
+        try {
+            result = await submitGuess(guessedTitle, guessInput.dataset.appid);
+        } catch (error) {
+            console.error("[handleGuess_ERROR] Failed to submit guess:", error.message);
+            alert(`Could not check your guess: ${error.message}`);
+            if (error.restart) {
+                // The saved game would only hit the same error again, so start this puzzle over
+                localStorage.removeItem(getGameStateKey(currentGame.date));
+                initGame();
+                return;
+            }
+            guessInput.disabled = false;
+            guessButton.disabled = false;
+            skipButton.disabled = false;
+            return;
+        }
+        console.log("[handleGuess] Server response:", result);
+
+        guessHistory.push(guessedTitle);
+        updateHardModeToggle();
+
+        if (result.correct) {
             console.log("[handleGuess] Correct guess!");
             shareGrid.push('🟩');
-            endGame(true);
-        } else {
-            console.log("[handleGuess] Incorrect guess.");
-            shareGrid.push('🟥'); // Using red square for incorrect, like Wordle
-            guessesLeft--;
-            guessesRemainingSpan.textContent = guessesLeft;
-            
-            const li = document.createElement('li');
-            li.textContent = guessedTitle;
-            previousGuessesList.appendChild(li);
-            
-            currentReviewIndex++;
-            if (guessesLeft <= 0) {
-                console.log("[handleGuess] Out of guesses. Ending game as loss.");
-                endGame(false);
-            } else if (currentReviewIndex < currentGame.reviews.length) {
-                console.log("[handleGuess] Displaying next review clue.");
-                displayNextReview();
-            } else {
-                console.warn("[handleGuess] Ran out of review clues but still have guesses. Ending game as loss.");
-                endGame(false); 
-            }
+            endGame(true, result);
+            return;
+        }
+
+        console.log(`[handleGuess] ${skip ? 'Skipped clue' : 'Incorrect guess'}.`);
+        shareGrid.push(skip ? '⬛' : '🟥'); // Using red square for incorrect, like Wordle
+        guessesLeft--;
+        guessesRemainingSpan.textContent = guessesLeft;
+
+        addPreviousGuess(guessedTitle);
+        renderHintStrip();
+
+        if (result.gameOver) {
+            console.log("[handleGuess] Out of clues. Ending game as loss.");
+            endGame(false, result);
+            return;
+        }
+
+        currentReviewIndex = result.clueIndex;
+        currentGame.reviews[currentReviewIndex] = result.nextClue;
+        currentGame.state = result.state;
+        console.log("[handleGuess] Displaying next review clue.");
+        displayNextReview();
+        saveGameState();
+
+        guessInput.disabled = false;
+        guessButton.disabled = false;
+        skipButton.disabled = false;
+        if (!skip) {
+            guessInput.value = '';
+            updateGuessAppId();
         }
-        guessInput.value = '';
         guessInput.focus();
     }
 
-    function endGame(didWin) {
+    // `solution` is the game-over response from /api/guess: { title, appId, reviews, matchedAlias }.
+    // `isRestoring` is set when reopening an already-finished game from localStorage.
+    function endGame(didWin, solution, isRestoring = false) {
         console.log(`[endGame] Game ended. Player ${didWin ? 'WON' : 'LOST'}.`);
         isGameOver = true;
         guessInput.disabled = true;
         guessButton.disabled = true;
+        skipButton.disabled = true;
+        guessInput.value = '';
+
+        currentGame.title = solution.title;
+        currentGame.appId = solution.appId;
+        currentGame.reviews = solution.reviews;
+        currentGame.matchedAlias = solution.matchedAlias || null;
+        currentGame.didWin = didWin;
+        updateHardModeToggle();
+        renderHintStrip();
+        saveGameState();
+        if (!isRestoring) recordResult(didWin);
+        loadGlobalResults(didWin);
 
         gameOverMessageDiv.classList.remove('hidden');
         correctGameTitleSpan.textContent = currentGame.title;
@@ -352,7 +1094,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const clueNumberSpan = document.createElement('span');
             clueNumberSpan.classList.add('clue-number');
-            clueNumberSpan.textContent = `Clue ${index + 1} of ${currentGame.reviews.length}:`;
+            clueNumberSpan.textContent = `Clue ${index + 1} of ${currentGame.totalClues}:`;
             clueWrapper.appendChild(clueNumberSpan);
 
             const reviewCard = document.createElement('div');
@@ -440,27 +1182,64 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
         if (didWin) {
-            winLoseText.textContent = "Congratulations! You guessed it!";
+            winLoseText.textContent = currentGame.matchedAlias
+                ? `Congratulations! You guessed it! (Accepted as "${currentGame.matchedAlias}")`
+                : "Congratulations! You guessed it!";
             gameOverMessageDiv.classList.add('win');
         } else {
             winLoseText.textContent = "Game Over! Better luck next time.";
             gameOverMessageDiv.classList.add('lose');
         }
         shareButton.classList.remove('hidden');
+        playAgainButton.classList.toggle('hidden', !currentGame.practiceId);
         function scrollToPageBottom() {
             window.scrollTo(0, document.body.scrollHeight);
             console.log("[endGame] Scrolled page to bottom after answer reveal.");
         }
         setTimeout(scrollToPageBottom, 100);
+
+        startNextPuzzleCountdown();
+
+        if (!isRestoring) {
+            setTimeout(openStatsModal, 1500);
+        }
+    }
+
+    // --- Countdown to the next daily puzzle (server decides when it rolls over) ---
+    function formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+    }
+
+    function startNextPuzzleCountdown() {
+        clearInterval(countdownTimer);
+        if (!currentGame.nextPuzzleAt) return;
+        const nextPuzzleTime = Date.parse(currentGame.nextPuzzleAt);
+
+        function updateCountdown() {
+            const remaining = nextPuzzleTime - (Date.now() + serverClockOffset);
+            if (remaining <= 0) {
+                clearInterval(countdownTimer);
+                nextPuzzleCountdown.textContent = "A new Steamdle is available! Refresh to play.";
+                return;
+            }
+            nextPuzzleCountdown.textContent = `Next Steamdle in ${formatCountdown(remaining)}`;
+        }
+
+        updateCountdown();
+        nextPuzzleCountdown.classList.remove('hidden');
+        countdownTimer = setInterval(updateCountdown, 1000);
     }
 
     function generateShareText() {
-        let puzzleIdentifier = "Daily"; 
-        // If you implement a puzzle ID system from backend, use it here:
-        // puzzleIdentifier = currentGame.puzzleId || "Daily";
-        
-        const title = `Steamdle #${puzzleIdentifier} ${shareGrid.length}/${currentGame.reviews.length}`;
-        const gridVisual = shareGrid.join('');
+        const puzzleIdentifier = currentGame.practiceId ? "Practice" : `#${currentGame.puzzleNumber || "Daily"}`;
+
+        const title = `Steamdle ${puzzleIdentifier} ${shareGrid.length}/${currentGame.totalClues}${currentGame.hardMode ? ' (Hard Mode)' : ''}`;
+        // A 💡 goes before the guess that was made right after revealing a hint
+        const gridVisual = shareGrid.map((square, index) =>
+            '💡'.repeat(hintMarks.filter(mark => mark === index).length) + square
+        ).join('');
         // You'll need to host this game somewhere for the URL to be useful
         const gameUrl = window.location.origin; // Gets base URL like http://localhost:3000
         
@@ -468,7 +1247,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Event Listeners ---
-    guessButton.addEventListener('click', handleGuess);
+    guessButton.addEventListener('click', () => handleGuess());
+    skipButton.addEventListener('click', () => handleGuess({ skip: true }));
 
     guessInput.addEventListener('keypress', (event) => {
         if (event.key === 'Enter') {
@@ -478,6 +1258,7 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     guessInput.addEventListener('input', () => {
+        updateGuessAppId();
         const searchTerm = guessInput.value;
         clearTimeout(autocompleteDebounceTimer);
         autocompleteDebounceTimer = setTimeout(() => {
@@ -485,6 +1266,80 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 300); // Debounce API calls by 300ms
     });
 
+    hardModeCheckbox.addEventListener('change', () => {
+        if (hardModeCheckbox.disabled) return;
+        localStorage.setItem(HARD_MODE_KEY, hardModeCheckbox.checked ? 'true' : 'false');
+        initGame(); // Re-fetch the first clue with or without its reviewer details
+    });
+
+    // A new category starts a new practice game; one in progress is dropped
+    practiceTagSelect.addEventListener('change', () => {
+        practiceTag = practiceTagSelect.value;
+        const url = new URL(window.location.href);
+        if (practiceTag) url.searchParams.set('tag', practiceTag);
+        else url.searchParams.delete('tag');
+        window.history.replaceState(null, '', url);
+        localStorage.removeItem(PRACTICE_STATE_KEY);
+        initGame();
+    });
+
+    playAgainButton.addEventListener('click', () => {
+        window.scrollTo(0, 0);
+        initGame(); // The finished game's saved state is replaced by the next one
+    });
+
+    statsButton.addEventListener('click', openStatsModal);
+    statsModeTabs.forEach(tab => tab.addEventListener('click', () => {
+        statsMode = tab.dataset.mode;
+        renderStats();
+    }));
+    statsCloseButton.addEventListener('click', closeStatsModal);
+    statsModal.addEventListener('click', (event) => {
+        if (event.target === statsModal) closeStatsModal(); // Click on the backdrop
+    });
+
+    accountButton.addEventListener('click', openAccountModal);
+    accountCloseButton.addEventListener('click', closeAccountModal);
+    accountModal.addEventListener('click', (event) => {
+        if (event.target === accountModal) closeAccountModal();
+    });
+    accountLoginForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        submitAccountForm('/login', { username: accountUsernameInput.value.trim(), password: accountPasswordInput.value });
+    });
+    accountRegisterButton.addEventListener('click', () => {
+        submitAccountForm('/register', {
+            username: accountUsernameInput.value.trim(),
+            password: accountPasswordInput.value,
+            email: accountEmailInput.value.trim() || undefined
+        });
+    });
+    accountLinkForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setAccountMessage('');
+        try {
+            await accountRequest('/login-link', { body: { email: accountEmailInput.value.trim() } });
+            setAccountMessage("Check your email for a sign-in link.");
+        } catch (error) {
+            setAccountMessage(error.message, true);
+        }
+    });
+    accountSyncButton.addEventListener('click', async () => {
+        const synced = await syncResults();
+        setAccountMessage(synced ? "Your statistics are synced." : "Couldn't sync your statistics. Please try again later.", !synced);
+    });
+    accountLogoutButton.addEventListener('click', async () => {
+        const account = loadAccount();
+        saveAccount(null);
+        renderAccount();
+        setAccountMessage("Signed out. Your statistics stay on this device.");
+        try {
+            await accountRequest('/logout', { body: {}, token: account.token });
+        } catch (error) {
+            console.warn("[logout] Could not end the session on the server:", error.message);
+        }
+    });
+
     shareButton.addEventListener('click', () => {
         const textToShare = generateShareText();
         if (navigator.share) {
@@ -511,5 +1366,8 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // --- Initialize Game ---
+    renderAccount();
+    handleLoginLink().then(signedInByLink => { if (!signedInByLink) syncResults(); });
+    if (isPracticeMode) loadPracticeTags();
     initGame();
 });
\ No newline at end of file
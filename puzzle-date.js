@@ -0,0 +1,61 @@
+// Puzzle dates are plain yyyy-MM-dd strings, which also compare correctly as text.
+// They are taken in PUZZLE_TIMEZONE (an IANA name like "America/New_York", default UTC)
+// so the puzzle rolls over at the same moment wherever the server happens to run.
+
+const DEFAULT_PUZZLE_TIMEZONE = 'UTC';
+
+function resolvePuzzleTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.error(`[DATE_ERROR] Invalid PUZZLE_TIMEZONE "${timeZone}". Falling back to ${DEFAULT_PUZZLE_TIMEZONE}.`);
+        return DEFAULT_PUZZLE_TIMEZONE;
+    }
+}
+
+const PUZZLE_TIMEZONE = resolvePuzzleTimezone(process.env.PUZZLE_TIMEZONE || DEFAULT_PUZZLE_TIMEZONE);
+
+const dateTimeFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: PUZZLE_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// Wall-clock fields of `date` in the puzzle timezone
+function getZonedParts(date) {
+    const parts = {};
+    dateTimeFormatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return parts;
+}
+
+// Milliseconds the puzzle timezone is ahead of UTC at `date`
+function getTimezoneOffset(date) {
+    const p = getZonedParts(date);
+    const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function getTodayDateStr(now = new Date()) {
+    const p = getZonedParts(now);
+    return `${p.year}-${p.month}-${p.day}`;
+}
+
+// The instant the next puzzle date starts (midnight in the puzzle timezone)
+function getNextRolloverTime(now = new Date()) {
+    const p = getZonedParts(now);
+    const nextMidnightAsUtc = Date.UTC(p.year, p.month - 1, Number(p.day) + 1);
+    // Correct for the offset at the rollover itself, which differs from now's across a DST change
+    let rollover = nextMidnightAsUtc - getTimezoneOffset(now);
+    rollover = nextMidnightAsUtc - getTimezoneOffset(new Date(rollover));
+    return new Date(rollover);
+}
+
+function isValidDateStr(str) {
+    if (typeof str !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+    const date = new Date(`${str}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(str);
+}
+
+module.exports = { PUZZLE_TIMEZONE, getTodayDateStr, getNextRolloverTime, isValidDateStr };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// How far a player has got in a puzzle, kept by the client as a signed token:
+// { id, date, practiceId, clueIndex }. A puzzle starts with a token for clue 0, and every
+// wrong guess (or skip) on /api/guess hands back one for the next clue. Guesses are only
+// checked against the token's clue, so clues are released one at a time and the answer
+// only comes out once the puzzle has been played through.
+// Every clue after the first is reached by a miss, so `clueIndex` is also the miss count.
+//
+// Each token can be guessed with once: /api/guess records its random `id` in
+// spent_puzzle_states (see spendPuzzleState), so one token can't be used to try every answer.
+//
+// Tokens are signed with PUZZLE_STATE_SECRET, or else with a random key generated once and
+// kept in `secretFile`, so games in progress survive a restart.
+
+function loadSecret(secretFile) {
+    if (process.env.PUZZLE_STATE_SECRET) return process.env.PUZZLE_STATE_SECRET;
+    try {
+        return fs.readFileSync(secretFile, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    console.log(`[PUZZLE_STATE_INFO] Generated a new puzzle state key at ${secretFile}.`);
+    return secret;
+}
+
+function createPuzzleStateSigner(secretFile) {
+    const secret = loadSecret(secretFile);
+    const signature = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    // `gameData` is the puzzle the token is for
+    function sign(gameData, clueIndex) {
+        const state = {
+            id: crypto.randomBytes(12).toString('base64url'),
+            date: gameData.practiceId ? null : gameData.date,
+            practiceId: gameData.practiceId || null,
+            clueIndex
+        };
+        const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+        return `${payload}.${signature(payload)}`;
+    }
+
+    // The state in `token`, or null if it is missing, malformed or wasn't signed here
+    function verify(token) {
+        if (typeof token !== 'string') return null;
+        const [payload, givenSignature] = token.split('.');
+        if (!payload || !givenSignature) return null;
+        const expected = Buffer.from(signature(payload));
+        const given = Buffer.from(givenSignature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+        try {
+            const state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return typeof state.id === 'string' && Number.isInteger(state.clueIndex) && state.clueIndex >= 0 ? state : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return { sign, verify };
+}
+
+// Marks verified `state` as used. Resolves to true the first time, false if it was already spent.
+async function spendPuzzleState(db, state) {
+    try {
+        const { changes } = await db.runAsync("INSERT OR IGNORE INTO spent_puzzle_states (state_id) VALUES (?)", [state.id]);
+        return changes > 0;
+    } catch (error) {
+        console.error("[DB_ERROR] Failed to record a spent puzzle state:", error.message);
+        throw error;
+    }
+}
+
+module.exports = { createPuzzleStateSigner, spendPuzzleState };
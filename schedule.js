@@ -0,0 +1,61 @@
+const { getTodayDateStr, isValidDateStr } = require('./puzzle-date.js');
+
+// Games assigned to specific future dates (themed days, planned puzzles). The daily
+// selection in server.js uses a date's scheduled game before falling back to a random
+// pick. Shared by the admin API and manage-schedule.js.
+
+function getScheduledGame(db, date) {
+    return new Promise((resolve, reject) => {
+        db.get(`SELECT s.puzzle_date, s.note, g.id, g.title, g.steam_app_id, g.is_active FROM puzzle_schedule s
+                JOIN games g ON g.id = s.game_id WHERE s.puzzle_date = ?`, [date], (err, row) => {
+            if (err) { console.error(`[DB_ERROR] Failed to read schedule for ${date}:`, err.message); reject(err); }
+            else resolve(row);
+        });
+    });
+}
+
+// The next `limit` scheduled days from `fromDate` on, with how many clues are ready
+function listSchedule(db, { fromDate = getTodayDateStr(), limit = 14 } = {}) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT s.puzzle_date, s.note, g.id AS game_id, g.title, g.steam_app_id, g.is_active,
+                    (SELECT COUNT(*) FROM game_reviews r WHERE r.game_id = g.id AND r.scrape_status = 'ok') AS scraped_review_count
+                FROM puzzle_schedule s JOIN games g ON g.id = s.game_id
+                WHERE s.puzzle_date >= ? ORDER BY s.puzzle_date ASC LIMIT ?`, [fromDate, limit], (err, rows) => {
+            if (err) { console.error("[DB_ERROR] Failed to list schedule:", err.message); reject(err); }
+            else resolve(rows.map(row => ({ ...row, is_active: !!row.is_active })));
+        });
+    });
+}
+
+// Returns why `date` can't be (re)scheduled, or null if it can. Dates that already
+// have a published puzzle are fixed.
+async function checkSchedulableDate(db, date) {
+    if (!isValidDateStr(date)) return "date must be a valid YYYY-MM-DD date.";
+    if (date < getTodayDateStr()) return "Cannot schedule a puzzle in the past.";
+    const published = await new Promise((resolve, reject) => {
+        db.get("SELECT puzzle_number FROM daily_puzzles WHERE puzzle_date = ?", [date], (err, row) => err ? reject(err) : resolve(row));
+    });
+    return published ? `The puzzle for ${date} has already been published as #${published.puzzle_number}.` : null;
+}
+
+function setScheduledGame(db, date, gameId, note = null) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT INTO puzzle_schedule (puzzle_date, game_id, note) VALUES (?, ?, ?)
+                ON CONFLICT(puzzle_date) DO UPDATE SET game_id = excluded.game_id, note = excluded.note`,
+            [date, gameId, note], (err) => {
+                if (err) { console.error(`[DB_ERROR] Failed to schedule game ID ${gameId} for ${date}:`, err.message); reject(err); }
+                else { console.log(`[SCHEDULE_INFO] Scheduled game ID ${gameId} for ${date}.`); resolve(); }
+            });
+    });
+}
+
+function clearScheduledGame(db, date) {
+    return new Promise((resolve, reject) => {
+        db.run("DELETE FROM puzzle_schedule WHERE puzzle_date = ?", [date], function (err) {
+            if (err) { console.error(`[DB_ERROR] Failed to clear schedule for ${date}:`, err.message); reject(err); }
+            else resolve(this.changes > 0);
+        });
+    });
+}
+
+module.exports = { getScheduledGame, listSchedule, checkSchedulableDate, setScheduledGame, clearScheduledGame };
@@ -0,0 +1,39 @@
+// CLI: scrape Steam review pages into the game_reviews table ahead of time, then fetch
+// store details (hint data) for games that don't have them yet.
+//
+//   node scrape-reviews.js                 Scrape every review that isn't stored yet (or failed last time)
+//   node scrape-reviews.js --force         Re-scrape every review and re-fetch every game's details
+//   node scrape-reviews.js --game <id>     Only scrape reviews and details for one game ID
+const db = require('./db.js');
+const { scrapePendingReviews, fetchMissingGameDetails } = require('./scraper.js');
+
+function parseArgs(argv) {
+    const options = { force: false, gameId: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--force') {
+            options.force = true;
+        } else if (argv[i] === '--game') {
+            options.gameId = Number(argv[++i]);
+            if (!Number.isInteger(options.gameId)) throw new Error("--game expects a numeric game ID.");
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    await db.ready;
+    const result = await scrapePendingReviews(db, options);
+    const details = await fetchMissingGameDetails(db, options);
+    console.log(`[SCRAPE_CLI] Done. ${result.ok} scraped, ${result.failed} failed. Game details: ${details.ok} fetched, ${details.failed} failed.`);
+    return result.failed + details.failed > 0 ? 1 : 0;
+}
+
+main()
+    .then(exitCode => db.close(() => process.exit(exitCode)))
+    .catch(error => {
+        console.error("[SCRAPE_CLI_ERROR]", error.message);
+        db.close(() => process.exit(1));
+    });
@@ -0,0 +1,272 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { priceTierForCents } = require('./hints.js');
+
+// Review content is scraped ahead of time and stored in game_reviews, so serving a
+// puzzle never depends on Steam being reachable. Used by the server's background job
+// and by scrape-reviews.js.
+
+const SCRAPE_DELAY_MS = 1000; // Pause between review pages to stay polite to Steam
+const SCRAPE_TIMEOUT_MS = 10 * 1000;
+const SCRAPE_MAX_ATTEMPTS = 3;
+const SCRAPE_RETRY_BASE_DELAY_MS = 1000; // Doubled after each failed attempt
+const STEAM_APP_DETAILS_URL = 'https://store.steampowered.com/api/appdetails';
+
+let isScrapeRunning = false;
+let isDetailsFetchRunning = false;
+
+// Timeouts, network errors, 429s and 5xx responses are worth another try; any other
+// 4xx (e.g. a deleted review) will not fix itself.
+function isRetryableError(error) {
+    const status = error.response && error.response.status;
+    return !status || status === 429 || status >= 500;
+}
+
+// GET with a per-request timeout and exponential backoff between attempts
+async function fetchWithRetry(url, options) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await axios.get(url, { timeout: SCRAPE_TIMEOUT_MS, ...options });
+        } catch (error) {
+            if (attempt >= SCRAPE_MAX_ATTEMPTS || !isRetryableError(error)) throw error;
+            const delay = SCRAPE_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+            console.warn(`[SCRAPER_WARN] Attempt ${attempt}/${SCRAPE_MAX_ATTEMPTS} for ${url} failed (${error.message}). Retrying in ${delay}ms.`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+function scrapeFailure(reviewUrl, message) {
+    return { error: true, message, originalUrl: reviewUrl, reviewerName: "Error" };
+}
+
+// Helper function to scrape a single Steam review page. A page without review text or
+// hours played counts as a failed scrape: Steam's markup has probably changed, and
+// storing the placeholders would serve an empty clue.
+async function scrapeSteamReview(reviewUrl) {
+    
+    try {
+        const { data: html } = await fetchWithRetry(reviewUrl, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36',
+                'Accept-Language': 'en-US,en;q=0.9'
+            }
+        });
+        const $ = cheerio.load(html);
+        const reviewData = {
+            reviewerName: "A Steam User",
+            reviewerAvatarUrl: null,
+            recommendation: "Not specified",
+            playtime: "Playtime not shown",
+            datePosted: "Date not found",
+            reviewText: "Could not load review text."
+        };
+
+        
+        let tempName = $('.profile_small_header_name a.persona_name_text_content').text().trim();
+        if (tempName) reviewData.reviewerName = tempName;
+        else {
+            tempName = $('.profile_small_header_name').clone().children().remove().end().text().trim();
+            if (tempName) reviewData.reviewerName = tempName;
+        }
+
+        let avatarSrc = $('.profile_small_header_avatar .playerAvatar > img:last-child').attr('src');
+        if (!avatarSrc) {
+            avatarSrc = $('.profile_small_header_avatar .playerAvatar img').eq(1).attr('src');
+        }
+        if (avatarSrc) reviewData.reviewerAvatarUrl = avatarSrc;
+
+        let tempRec = $('.ratingSummaryBlock .ratingSummaryHeader .ratingSummary').text().trim();
+        if (tempRec) reviewData.recommendation = tempRec;
+
+        const playTimeText = $('.ratingSummaryBlock .ratingSummaryHeader .playTime').text().trim();
+        const atReviewTimeMatch = playTimeText.match(/\(([^)]+) at review time\)/);
+        if (atReviewTimeMatch && atReviewTimeMatch[1]) {
+            reviewData.playtime = atReviewTimeMatch[1];
+        } else if (playTimeText) {
+            let fallbackPlaytime = playTimeText.split('/')[1]?.trim().split(' on record')[0]?.trim();
+            if (fallbackPlaytime) {
+                reviewData.playtime = fallbackPlaytime;
+                if (!reviewData.playtime.includes("hrs")) reviewData.playtime += " hrs";
+                if (reviewData.playtime === "hrs") reviewData.playtime = "Playtime not shown";
+            }
+        }
+
+        let tempDate = $('.ratingSummaryBlock .recommendation_date').text().trim().replace('Posted: ', '');
+        if (tempDate) reviewData.datePosted = tempDate;
+
+        let reviewContentHTML = $('#ReviewText').html();
+        if (reviewContentHTML) {
+            reviewContentHTML = reviewContentHTML.replace(/<br\s*\/?>/gi, '\n');
+            reviewData.reviewText = $('<div>').html(reviewContentHTML).text().trim();
+        }
+
+        if (!reviewContentHTML || !reviewData.reviewText) {
+            console.error(`[SCRAPER_ERROR] No review text found on ${reviewUrl}.`);
+            return scrapeFailure(reviewUrl, "Review text not found on the page");
+        }
+        if (reviewData.playtime === "Playtime not shown") {
+            console.error(`[SCRAPER_ERROR] No hours played found on ${reviewUrl}.`);
+            return scrapeFailure(reviewUrl, "Hours played not found on the page");
+        }
+
+        return reviewData;
+
+    } catch (error) {
+        console.error(`[SCRAPER_ERROR] Failed to scrape ${reviewUrl}: ${error.message}`);
+        return scrapeFailure(reviewUrl, `Scraping failed`);
+    }
+}
+
+// Scrapes every review that hasn't been scraped successfully yet (or all of them with
+// `force`), optionally limited to one game, and stores the result in game_reviews.
+// Runs one page at a time; overlapping calls return immediately.
+async function scrapePendingReviews(db, { force = false, gameId = null } = {}) {
+    if (isScrapeRunning) {
+        console.log("[SCRAPE_JOB_INFO] A scrape run is already in progress. Skipping.");
+        return { skipped: true, ok: 0, failed: 0 };
+    }
+    isScrapeRunning = true;
+
+    try {
+        const conditions = [];
+        const params = [];
+        if (!force) conditions.push("scrape_status != 'ok'");
+        if (gameId !== null) { conditions.push("game_id = ?"); params.push(gameId); }
+        const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const rows = await new Promise((resolve, reject) => {
+            db.all(`SELECT id, review_page_url FROM game_reviews ${whereClause} ORDER BY game_id, clue_order`, params, (err, rows) => {
+                if (err) { console.error("[DB_ERROR] Failed to list reviews to scrape:", err.message); reject(err); }
+                else resolve(rows);
+            });
+        });
+        console.log(`[SCRAPE_JOB_INFO] ${rows.length} review(s) to scrape.`);
+
+        let ok = 0;
+        let failed = 0;
+        for (const row of rows) {
+            const review = await scrapeSteamReview(row.review_page_url);
+            await saveScrapedReview(db, row.id, review);
+            review.error ? failed++ : ok++;
+            await new Promise(resolve => setTimeout(resolve, SCRAPE_DELAY_MS));
+        }
+
+        console.log(`[SCRAPE_JOB_INFO] Finished: ${ok} scraped, ${failed} failed.`);
+        return { skipped: false, ok, failed };
+    } finally {
+        isScrapeRunning = false;
+    }
+}
+
+// A failed scrape keeps whatever content an earlier successful scrape stored
+function saveScrapedReview(db, reviewId, review) {
+    const sql = review.error
+        ? `UPDATE game_reviews SET scraped_at = CURRENT_TIMESTAMP, scrape_error = ?,
+               scrape_status = CASE WHEN review_text IS NULL THEN 'error' ELSE scrape_status END
+           WHERE id = ?`
+        : `UPDATE game_reviews SET reviewer_name = ?, reviewer_avatar_url = ?, recommendation = ?, playtime = ?,
+               date_posted = ?, review_text = ?, scraped_at = CURRENT_TIMESTAMP, scrape_status = 'ok', scrape_error = NULL
+           WHERE id = ?`;
+    const params = review.error
+        ? [review.message, reviewId]
+        : [review.reviewerName, review.reviewerAvatarUrl, review.recommendation, review.playtime,
+            review.datePosted, review.reviewText, reviewId];
+
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => {
+            if (err) { console.error(`[DB_ERROR] Failed to store scraped review ${reviewId}:`, err.message); reject(err); }
+            else resolve();
+        });
+    });
+}
+
+// Turns a stored game_reviews row into the review shape the client renders
+function reviewFromRow(row) {
+    if (row.scrape_status !== 'ok') {
+        return { error: true, message: "Review not available yet", originalUrl: row.review_page_url, reviewerName: "Error" };
+    }
+    return {
+        reviewerName: row.reviewer_name,
+        reviewerAvatarUrl: row.reviewer_avatar_url,
+        recommendation: row.recommendation,
+        playtime: row.playtime,
+        datePosted: row.date_posted,
+        reviewText: row.review_text
+    };
+}
+
+// Hint data for one app from the Steam store: { releaseYear, genres, developer, priceTier }
+async function fetchGameDetails(appId) {
+    const { data } = await fetchWithRetry(STEAM_APP_DETAILS_URL, { params: { appids: appId, cc: 'us', l: 'english' } });
+    const entry = data && data[appId];
+    if (!entry || !entry.success || !entry.data) {
+        throw new Error(`Steam store has no details for app ${appId}.`);
+    }
+    const details = entry.data;
+    const yearMatch = details.release_date && /\b(\d{4})\b/.exec(details.release_date.date || '');
+    let priceTier = null;
+    if (details.is_free) priceTier = priceTierForCents(0);
+    else if (details.price_overview) priceTier = priceTierForCents(details.price_overview.initial);
+
+    return {
+        releaseYear: yearMatch ? Number(yearMatch[1]) : null,
+        genres: (details.genres || []).map(genre => genre.description).join(', ') || null,
+        developer: (details.developers || []).join(', ') || null,
+        priceTier
+    };
+}
+
+// Fetches hint data for games that haven't been fetched yet (or all of them with `force`).
+// Values already set, e.g. from the content file, are never overwritten.
+async function fetchMissingGameDetails(db, { force = false, gameId = null } = {}) {
+    if (isDetailsFetchRunning) {
+        console.log("[SCRAPE_JOB_INFO] A game details fetch is already in progress. Skipping.");
+        return { skipped: true, ok: 0, failed: 0 };
+    }
+    isDetailsFetchRunning = true;
+
+    try {
+        const conditions = [];
+        const params = [];
+        if (!force) conditions.push("details_fetched_at IS NULL");
+        if (gameId !== null) { conditions.push("id = ?"); params.push(gameId); }
+        const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const games = await new Promise((resolve, reject) => {
+            db.all(`SELECT id, title, steam_app_id FROM games ${whereClause} ORDER BY id`, params, (err, rows) => {
+                if (err) { console.error("[DB_ERROR] Failed to list games to fetch details for:", err.message); reject(err); }
+                else resolve(rows);
+            });
+        });
+        console.log(`[SCRAPE_JOB_INFO] ${games.length} game(s) to fetch store details for.`);
+
+        let ok = 0;
+        let failed = 0;
+        for (const game of games) {
+            try {
+                const details = await fetchGameDetails(game.steam_app_id);
+                await new Promise((resolve, reject) => {
+                    db.run(`UPDATE games SET release_year = COALESCE(release_year, ?), genres = COALESCE(genres, ?),
+                            developer = COALESCE(developer, ?), price_tier = COALESCE(price_tier, ?), details_fetched_at = CURRENT_TIMESTAMP
+                            WHERE id = ?`, [details.releaseYear, details.genres, details.developer, details.priceTier, game.id], (err) => {
+                        if (err) { console.error(`[DB_ERROR] Failed to store details for game ID ${game.id}:`, err.message); reject(err); }
+                        else resolve();
+                    });
+                });
+                ok++;
+            } catch (error) {
+                console.error(`[SCRAPER_ERROR] Failed to fetch store details for "${game.title}" (app ${game.steam_app_id}): ${error.message}`);
+                failed++;
+            }
+            await new Promise(resolve => setTimeout(resolve, SCRAPE_DELAY_MS));
+        }
+
+        console.log(`[SCRAPE_JOB_INFO] Finished game details: ${ok} fetched, ${failed} failed.`);
+        return { skipped: false, ok, failed };
+    } finally {
+        isDetailsFetchRunning = false;
+    }
+}
+
+module.exports = { scrapeSteamReview, scrapePendingReviews, reviewFromRow, fetchGameDetails, fetchMissingGameDetails };
@@ -1,334 +1,989 @@
 ﻿const express = require('express');
 const cors = require('cors');
-const db = require('./db.js');
 const axios = require('axios');
-const cheerio = require('cheerio');
-const { format } = require('date-fns');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const path = require('path');
+const db = require('./db.js');
+const { scrapePendingReviews, fetchMissingGameDetails, reviewFromRow } = require('./scraper.js');
+const { createAdminRouter } = require('./admin.js');
+const { fetchSteamAppList, filterGameApps, loadAppListSnapshot, saveAppListSnapshot } = require('./steam-apps.js');
+const { buildAppSearchIndex, searchApps } = require('./app-search.js');
+const { PUZZLE_TIMEZONE, getTodayDateStr, getNextRolloverTime, isValidDateStr } = require('./puzzle-date.js');
+const { getScheduledGame } = require('./schedule.js');
+const { matchGuess } = require('./answer-match.js');
+const { hintValuesFromRow, listAvailableHints, findHint } = require('./hints.js');
+const { GAME_TAGS_SQL, normalizeTag, gameTags, filterByTag, weekdayOfDate } = require('./tags.js');
+const { BALANCE_WINDOW_DAYS, recordOutcome, getGameDifficulties, pickBalancedTier } = require('./difficulty.js');
+const { isValidDeviceToken, recordDailyResult, getDailyDistribution } = require('./daily-results.js');
+const { createAccountRouter } = require('./accounts.js');
+const { getMailSinkDir } = require('./mail-sink.js');
+const { CLUES_PER_GAME } = require('./content.js');
+const { createPuzzleStateSigner, spendPuzzleState } = require('./puzzle-state.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 
 // --- Steam App List Cache (for autocomplete) ---
-let steamAppsCache = [];
+let steamAppsIndex = null; // Search index over the filtered app list (app-search.js)
+let steamAppsFetch = null; // In-flight fetch, shared by requests that arrive meanwhile
 let lastSteamAppsFetchTime = 0;
 const STEAM_APPS_CACHE_DURATION = 24 * 60 * 60 * 1000;
+// How often the background job checks whether the list is due for a refresh
+const STEAM_APPS_REFRESH_CHECK_INTERVAL = 60 * 60 * 1000;
+// The last fetched list is kept on disk and loaded at boot (not used with STEAM_APPS_FIXTURE_FILE)
+const STEAM_APPS_SNAPSHOT_FILE = process.env.STEAM_APPS_SNAPSHOT_FILE || path.join(db.directory, 'steam-apps-snapshot.json');
+
+// Signs the tokens that carry a player's progress through a puzzle (see puzzle-state.js)
+const puzzleState = createPuzzleStateSigner(path.join(db.directory, 'puzzle-state-secret'));
+// Steam app IDs of the games in our pool. Autocomplete ranks these first.
+let poolAppIds = new Set();
+
+// --- Background Review Scraping ---
+const REVIEW_SCRAPE_INTERVAL = 6 * 60 * 60 * 1000;
 
 // --- Daily Game Cache ---
 let dailyGameCache = {
     date: null,
-    gameData: null
+    gameData: null,
+    cachedAt: 0
 };
+// Error states (and games with missing clues) are only cached briefly so a bad moment
+// doesn't break the whole day
+const DAILY_GAME_ERROR_CACHE_TTL = 5 * 60 * 1000;
+
+// --- Archive Puzzle Cache (puzzle date -> full game data) ---
+const archiveGameCache = new Map();
+
+// --- Practice Game Cache (game ID -> full game data) ---
+const practiceGameCache = new Map();
+
+// --- Hint Image Cache (Steam app ID -> blurred header image JPEG) ---
+// Kept across content changes: a game's header image doesn't depend on our data.
+const hintImageCache = new Map();
+
+// Called when games or reviews are edited through the admin API. Today's game stays
+// the same (it is recorded in daily_puzzles); only its cached clues are reloaded.
+function clearPuzzleCaches() {
+    dailyGameCache = { date: null, gameData: null, cachedAt: 0 };
+    dailyGameInFlight = { date: null, promise: null };
+    archiveGameCache.clear();
+    practiceGameCache.clear();
+    console.log("[CACHE_UPDATE] Puzzle caches cleared after a content change.");
+}
 
 // --- Middleware ---
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/api/admin', createAdminRouter(db, {
+    onContentChanged: () => {
+        clearPuzzleCaches();
+        refreshPoolAppIds();
+    }
+}));
+// Emailed links point at PUBLIC_BASE_URL (e.g. https://steamdle.com). It must be set in
+// production; links are never built from the request's Host header, which anyone can forge.
+app.use('/api/account', createAccountRouter(db, {
+    mailDir: getMailSinkDir(db.directory),
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || (process.env.NODE_ENV === 'production' ? null : `http://localhost:${PORT}`)
+}));
+
+// --- Helper: Fetch and Cache Steam App List (for autocomplete) ---
+// The index is built in full before it replaces the old one, so searches never see a partial
+// list. Filtering and indexing yield to the event loop as they go, so requests (autocomplete
+// included, from the old index) keep being served meanwhile.
+async function indexSteamApps(rawApps, fetchedAt) {
+    const apps = await filterGameApps(rawApps);
+    steamAppsIndex = await buildAppSearchIndex(apps);
+    lastSteamAppsFetchTime = fetchedAt;
+    return apps.length;
+}
 
-// --- Normalization Function (for forgiving autocomplete search) ---
-function normalizeStringServer(str) {
-    if (typeof str !== 'string') return '';
-    // Remove ALL non-alphanumeric characters (including spaces, hyphens, colons, etc.)
-    return str.toLowerCase().replace(/[^a-z0-9]/gi, '');
+async function loadSteamAppsSnapshot() {
+    if (process.env.STEAM_APPS_FIXTURE_FILE) return;
+    const snapshot = loadAppListSnapshot(STEAM_APPS_SNAPSHOT_FILE);
+    if (!snapshot) {
+        console.log(`[STEAM_API_INFO] No Steam app list snapshot at ${STEAM_APPS_SNAPSHOT_FILE}. Autocomplete is empty until the first fetch.`);
+        return;
+    }
+    const count = await indexSteamApps(snapshot.apps, snapshot.fetchedAt);
+    console.log(`[STEAM_API_INFO] Loaded ${count} Steam apps from the snapshot taken ${new Date(snapshot.fetchedAt).toISOString()}.`);
 }
 
-// --- Helper: Fetch and Cache Steam App List (for autocomplete) ---
-const NON_GAME_KEYWORDS = [
-    'dlc', 'soundtrack', 'ost', 'artbook', 'art book', 'expansion',
-    'pack', 'demo', 'beta', 'playtest', 'bonus', 'season pass',
-    'skin', 'wallpaper', 'trailer', 'key', 'server', 'dedicated server',
-    'sdk', 'tool', 'editor', 'trial', 'vr edition'
-];
-async function fetchAndCacheSteamApps() {
+// Never awaited by requests: autocomplete keeps answering from the current index meanwhile
+function fetchAndCacheSteamApps() {
+    if (steamAppsFetch) return steamAppsFetch;
     console.log("[STEAM_API_INFO] Attempting to fetch Steam app list for autocomplete...");
-    try {
-        const response = await fetch('https://api.steampowered.com/ISteamApps/GetAppList/v2/');
-        if (!response.ok) {
-            throw new Error(`Steam API request failed with status: ${response.status}`);
+    steamAppsFetch = (async () => {
+        try {
+            const rawApps = await fetchSteamAppList();
+            console.log(`[STEAM_API_INFO] Fetched ${rawApps.length} raw entries from ${process.env.STEAM_APPS_FIXTURE_FILE ? 'the fixture file' : 'Steam'}.`);
+
+            const count = await indexSteamApps(rawApps, Date.now());
+            console.log(`[STEAM_API_SUCCESS] Successfully filtered and indexed ${count} Steam apps.`);
+            if (!process.env.STEAM_APPS_FIXTURE_FILE) {
+                saveAppListSnapshot(STEAM_APPS_SNAPSHOT_FILE, rawApps, lastSteamAppsFetchTime);
+                console.log(`[STEAM_API_INFO] Saved the app list snapshot to ${STEAM_APPS_SNAPSHOT_FILE}.`);
+            }
+        } catch (error) {
+            console.error("[STEAM_API_ERROR] Failed to fetch or process Steam app list:", error.message);
+        } finally {
+            steamAppsFetch = null;
         }
-        const data = await response.json();
-        if (data.applist && data.applist.apps) {
-            let rawApps = data.applist.apps;
-            console.log(`[STEAM_API_INFO] Fetched ${rawApps.length} raw entries from Steam.`);
-
-            let processedApps = rawApps
-                .filter(app => {
-                    if (!app.name || app.name.trim() === "") return false;
-                    const lowerCaseName = app.name.toLowerCase();
-                    for (const keyword of NON_GAME_KEYWORDS) {
-                        if (lowerCaseName.includes(keyword)) return false;
-                    }
-                    return true;
-                })
-                .map(app => ({ name: app.name, appid: app.appid }));
-
-            const uniqueAppsByName = new Map();
-            processedApps.forEach(app => {
-                if (!uniqueAppsByName.has(app.name)) {
-                    uniqueAppsByName.set(app.name, app);
-                }
-            });
-            steamAppsCache = Array.from(uniqueAppsByName.values());
-            steamAppsCache.sort((a, b) => a.name.localeCompare(b.name));
-            lastSteamAppsFetchTime = Date.now();
-            console.log(`[STEAM_API_SUCCESS] Successfully filtered and cached ${steamAppsCache.length} Steam apps (objects).`);
-        } else {
-            console.error("[STEAM_API_ERROR] Steam API returned an unexpected data structure for app list.");
+    })();
+    return steamAppsFetch;
+}
+
+function refreshPoolAppIds() {
+    db.all("SELECT DISTINCT steam_app_id FROM games", [], (err, rows) => {
+        if (err) {
+            console.error("[DB_ERROR] Failed to load pool app IDs for autocomplete ranking:", err.message);
+            return;
         }
-    } catch (error) {
-        console.error("[STEAM_API_ERROR] Failed to fetch or process Steam app list:", error.message);
-    }
+        poolAppIds = new Set(rows.map(row => String(row.steam_app_id)));
+    });
 }
 
 
 // --- API Endpoints ---
 
-// Autocomplete for game titles (Normalize search, filter normalized, display original)
-app.get('/api/search-steam-games', async (req, res) => {
-    const currentTime = Date.now();
-    if (steamAppsCache.length === 0 || (currentTime - lastSteamAppsFetchTime > STEAM_APPS_CACHE_DURATION)) {
-        console.log("[SERVER_INFO] Autocomplete cache is empty or stale. Re-fetching Steam apps...");
-        await fetchAndCacheSteamApps();
-    }
-
-    const searchTermRaw = req.query.term ? req.query.term.trim() : "";
-    const limit = parseInt(req.query.limit, 10) || 15;
-
-    if (!searchTermRaw || searchTermRaw.length < 2) {
-        return res.json([]);
-    }
-
-    const normalizedSearchTerm = normalizeStringServer(searchTermRaw);
-
-    let suggestions = steamAppsCache
-        .map(app => ({
-            originalName: app.name,
-            normalizedName: normalizeStringServer(app.name)
-        }))
-        .filter(app => app.normalizedName.includes(normalizedSearchTerm))
-        .sort((a, b) => {
-            const aStartsWith = a.normalizedName.startsWith(normalizedSearchTerm);
-            const bStartsWith = b.normalizedName.startsWith(normalizedSearchTerm);
-
-            if (aStartsWith && !bStartsWith) return -1;
-            if (!aStartsWith && bStartsWith) return 1;
-            return a.normalizedName.localeCompare(b.normalizedName); // Then by normalized name
-        })
-        .slice(0, limit)
-        .map(app => app.originalName); // Return only the ORIGINAL names for display
-
-    res.json(suggestions);
+// Autocomplete for game titles. Returns [{ name, appid }], best matches first; the client
+// sends the appid of the chosen suggestion with its guess.
+// The list is kept fresh by startSteamAppsRefreshJob; until the first load this returns [].
+app.get('/api/search-steam-games', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 15, 50);
+    res.json(searchApps(steamAppsIndex, req.query.term, { limit, popularAppIds: poolAppIds }));
 });
 
-// Helper function to get and scrape review data
-async function getAndScrapeReviewDataForGame(gameSelection) {
-    console.log(`[REVIEWS_LOGIC] Getting/Scraping reviews for game ID ${gameSelection.id} ("${gameSelection.title}")`);
+// Helper function to get a game's review clues. Reads only the content stored in
+// game_reviews by the scrape job (scraper.js); Steam is never contacted here.
+// Reviews past the first CLUES_PER_GAME are spares: each clue that failed to scrape is
+// replaced by the next spare that scraped successfully, keeping the clue order.
+async function getReviewDataForGame(gameSelection) {
+    console.log(`[REVIEWS_LOGIC] Loading stored reviews for game ID ${gameSelection.id} ("${gameSelection.title}")`);
     try {
-        const reviewPageUrls = await new Promise((resolve, reject) => {
-            db.all("SELECT review_page_url FROM game_reviews WHERE game_id = ? ORDER BY clue_order ASC LIMIT 6", [gameSelection.id], (err, rows) => {
+        const reviewRows = await new Promise((resolve, reject) => {
+            db.all("SELECT * FROM game_reviews WHERE game_id = ? ORDER BY clue_order ASC", [gameSelection.id], (err, rows) => {
                 if (err) {
-                    console.error(`[DB_ERROR] Error fetching review URLs for game ID ${gameSelection.id}:`, err.message);
-                    return reject(new Error("Could not fetch review URLs."));
+                    console.error(`[DB_ERROR] Error fetching reviews for game ID ${gameSelection.id}:`, err.message);
+                    return reject(new Error("Could not fetch reviews."));
                 }
                 if (!rows) {
-                    console.error("[DB_ERROR] db.all returned null rows for review URLs.");
-                    return reject(new Error("Database returned unexpected null for review URLs."));
+                    console.error("[DB_ERROR] db.all returned null rows for reviews.");
+                    return reject(new Error("Database returned unexpected null for reviews."));
                 }
-                resolve(rows.map(r => r.review_page_url));
+                resolve(rows);
             });
         });
 
-        if (reviewPageUrls.length === 0) {
-            console.warn(`[DB_WARN] No review URLs found for game ID ${gameSelection.id} ("${gameSelection.title}").`);
-            return { title: gameSelection.title, appId: gameSelection.steam_app_id, reviews: [] };
+        if (reviewRows.length === 0) {
+            console.warn(`[DB_WARN] No reviews found for game ID ${gameSelection.id} ("${gameSelection.title}").`);
+            return { gameId: gameSelection.id, title: gameSelection.title, appId: gameSelection.steam_app_id, reviews: [] };
         }
 
-        const scrapedReviewsPromises = reviewPageUrls.map(url => scrapeSteamReview(url)); // Uses your existing scrapeSteamReview
-        const scrapedReviews = await Promise.all(scrapedReviewsPromises);
+        const spareRows = reviewRows.slice(CLUES_PER_GAME).filter(row => row.scrape_status === 'ok');
+        const clueRows = reviewRows.slice(0, CLUES_PER_GAME).map(row => {
+            if (row.scrape_status === 'ok' || spareRows.length === 0) return row;
+            const spare = spareRows.shift();
+            console.log(`[REVIEWS_LOGIC] Clue ${row.clue_order} for ${gameSelection.title} is unavailable. Using spare review ${spare.id} instead.`);
+            return spare;
+        });
+
+        const reviews = clueRows.map(reviewFromRow);
+        const readyCount = reviews.filter(r => !r.error).length;
+        console.log(`[REVIEWS_LOGIC] ${readyCount}/${reviews.length} stored reviews ready for ${gameSelection.title}.`);
+
+        const aliasRows = await new Promise((resolve, reject) => {
+            db.all("SELECT alias FROM game_aliases WHERE game_id = ? ORDER BY id ASC", [gameSelection.id], (err, rows) => {
+                if (err) {
+                    console.error(`[DB_ERROR] Error fetching aliases for game ID ${gameSelection.id}:`, err.message);
+                    return reject(new Error("Could not fetch aliases."));
+                }
+                resolve(rows);
+            });
+        });
 
-        const successfulScrapesCount = scrapedReviews.filter(r => !(r && r.error)).length;
-        console.log(`[REVIEWS_LOGIC] ${successfulScrapesCount}/${scrapedReviews.length} reviews scraped for ${gameSelection.title}.`);
+        const hintRow = await new Promise((resolve, reject) => {
+            db.get("SELECT release_year, genres, developer, price_tier FROM games WHERE id = ?", [gameSelection.id], (err, row) => {
+                if (err) {
+                    console.error(`[DB_ERROR] Error fetching hint data for game ID ${gameSelection.id}:`, err.message);
+                    return reject(new Error("Could not fetch hint data."));
+                }
+                resolve(row || {});
+            });
+        });
 
         return {
+            gameId: gameSelection.id,
             title: gameSelection.title,
             appId: gameSelection.steam_app_id,
-            reviews: scrapedReviews
+            aliases: aliasRows.map(row => row.alias),
+            hints: hintValuesFromRow(hintRow),
+            reviews
         };
     } catch (error) {
-        console.error(`[REVIEWS_ERROR] Failed in getAndScrapeReviewDataForGame for "${gameSelection.title || 'Unknown Game'}":`, error);
+        console.error(`[REVIEWS_ERROR] Failed in getReviewDataForGame for "${gameSelection.title || 'Unknown Game'}":`, error);
         return { error: true, message: "Failed to process game reviews.", title: gameSelection.title || "Unknown", appId: gameSelection.steam_app_id || null, reviews: [] };
     }
 }
 
+// Games whose clues have all been scraped are picked before games still waiting on the scrape job
+const SCRAPED_REVIEW_COUNT_SQL = `MIN(${CLUES_PER_GAME}, (SELECT COUNT(*) FROM game_reviews r WHERE r.game_id = games.id AND r.scrape_status = 'ok'))`;
+// Picks leave alone any game that is scheduled for a later date (bound to today's date)
+const NOT_SCHEDULED_LATER_SQL = "id NOT IN (SELECT game_id FROM puzzle_schedule WHERE puzzle_date > ?)";
 
+// Cache misses that arrive while today's game is still being selected wait on the same promise
+let dailyGameInFlight = { date: null, promise: null };
+
+// A fixed pseudo-random rank for a game on a given date. Picking by it instead of RANDOM()
+// means the same pool always gives the same game for a date, even across restarts.
+function seededRank(dateStr, gameId) {
+    return crypto.createHash('sha256').update(`${dateStr}:${gameId}`).digest().readUInt32BE(0);
+}
+
+// Candidates are rows with a `scraped` count; fully scraped games still come first
+function pickSeededGame(candidates, dateStr) {
+    if (candidates.length === 0) return undefined;
+    const ranked = candidates.map(game => ({ game, rank: seededRank(dateStr, game.id) }));
+    ranked.sort((a, b) => (b.game.scraped - a.game.scraped) || (a.rank - b.rank));
+    const { scraped, ...game } = ranked[0].game;
+    return game;
+}
+
+function getRecordedDailyGame(dateStr) {
+    return new Promise((resolve, reject) => {
+        db.get(`SELECT g.id, g.title, g.steam_app_id, p.puzzle_number, p.theme_tag FROM daily_puzzles p
+                JOIN games g ON g.id = p.game_id WHERE p.puzzle_date = ?`, [dateStr], (err, row) => {
+            if (err) { console.error("[DB_ERROR] Daily game A: Error checking for pre-selected game:", err.message); reject(err); }
+            else { console.log("[DB_INFO] Daily game A: Pre-selected game check result:", row); resolve(row); }
+        });
+    });
+}
+
+// The tag the daily puzzle on `dateStr` is themed on (from daily_themes), or null
+function getDailyThemeTag(dateStr) {
+    return new Promise((resolve, reject) => {
+        db.get("SELECT tag FROM daily_themes WHERE weekday = ?", [weekdayOfDate(dateStr)], (err, row) => {
+            if (err) { console.error("[DB_ERROR] Daily game: Error reading the daily theme:", err.message); reject(err); }
+            else resolve(row ? row.tag : null);
+        });
+    });
+}
+
+// Narrows the daily candidates to the difficulty tier the previous days' puzzles had least
+// of (see difficulty.js). Unrated games fit any tier. Returns `candidates` unchanged when
+// no candidate is rated in that tier.
+async function balanceDifficulty(candidates, dateStr) {
+    const difficulties = await getGameDifficulties(db);
+    const recentGameIds = await new Promise((resolve, reject) => {
+        db.all("SELECT game_id FROM daily_puzzles WHERE puzzle_date < ? ORDER BY puzzle_date DESC LIMIT ?", [dateStr, BALANCE_WINDOW_DAYS], (err, rows) => {
+            if (err) { console.error("[DB_ERROR] Daily game: Error fetching recent puzzles:", err.message); reject(err); }
+            else resolve(rows.map(row => row.game_id));
+        });
+    });
+    const tierOf = gameId => (difficulties.get(gameId) || {}).tier || null;
+    const targetTier = pickBalancedTier(recentGameIds.map(tierOf).filter(Boolean));
+    if (!candidates.some(game => tierOf(game.id) === targetTier)) return candidates;
+
+    const balanced = candidates.filter(game => tierOf(game.id) === null || tierOf(game.id) === targetTier);
+    console.log(`[SERVER_INFO] Daily game: Balancing difficulty. Aiming for "${targetTier}" with ${balanced.length} candidate(s).`);
+    return balanced;
+}
 
 // Daily Game Selection (last_played_on date AND NOW WITH CACHING)
-app.get('/api/daily-game', async (req, res) => {
-    console.log("[SERVER_INFO] Request received for /api/daily-game (Cache Integrated)");
-    const todayStr = format(new Date(), 'yyyy-MM-dd');
+// Resolves to the full game data for today (title, appId and every scraped review),
+// or to an object with `error: true`. Never send this straight to the client.
+async function getDailyGameData() {
+    const todayStr = getTodayDateStr();
 
     // 1. Check cache first
-    if (dailyGameCache.date === todayStr && dailyGameCache.gameData) {
+    const cached = dailyGameCache.gameData;
+    const cachedHasErrors = cached && (cached.error || cached.reviews.some(r => r.error));
+    const errorCacheExpired = Date.now() - dailyGameCache.cachedAt > DAILY_GAME_ERROR_CACHE_TTL;
+    if (dailyGameCache.date === todayStr && cached && !(cachedHasErrors && errorCacheExpired)) {
         if (dailyGameCache.gameData.error) {
             console.warn(`[CACHE_HIT_ERROR] Serving ERROR state from cache for ${todayStr} for game: ${dailyGameCache.gameData.title}`);
-            return res.status(500).json({ error: dailyGameCache.gameData.message || "Failed to get daily game data (cached error)." });
+        } else {
+            console.log(`[CACHE_HIT] Serving daily game from cache for ${todayStr} for game: ${dailyGameCache.gameData.title}`);
         }
-        console.log(`[CACHE_HIT] Serving daily game from cache for ${todayStr} for game: ${dailyGameCache.gameData.title}`);
-        return res.json(dailyGameCache.gameData);
+        return dailyGameCache.gameData;
+    }
+
+    if (dailyGameInFlight.date === todayStr) {
+        console.log(`[CACHE_WAIT] Daily game for ${todayStr} is already being loaded. Waiting for it.`);
+        return dailyGameInFlight.promise;
     }
     console.log(`[CACHE_MISS] No valid cache for ${todayStr}. Proceeding to select and process game.`);
 
+    const promise = loadDailyGameData(todayStr).finally(() => {
+        if (dailyGameInFlight.promise === promise) dailyGameInFlight = { date: null, promise: null };
+    });
+    dailyGameInFlight = { date: todayStr, promise };
+    return promise;
+}
+
+async function loadDailyGameData(todayStr) {
     try {
         console.log("[SERVER_INFO] Daily game: Checking for pre-selected game for", todayStr);
-        let game = await new Promise((resolve, reject) => {
-            db.get("SELECT id, title, steam_app_id FROM games WHERE last_played_on = ? AND is_active = TRUE", [todayStr], (err, row) => {
-                if (err) { console.error("[DB_ERROR] Daily game A: Error checking for pre-selected game:", err.message); reject(err); }
-                else { console.log("[DB_INFO] Daily game A: Pre-selected game check result:", row); resolve(row); }
-            });
-        });
+        let game = await getRecordedDailyGame(todayStr);
 
         if (game) {
             console.log(`[SERVER_INFO] Daily game: Found pre-selected game for ${todayStr}: ID ${game.id} ("${game.title}")`);
         } else {
-            console.log(`[SERVER_INFO] Daily game: No game pre-selected for ${todayStr}. Selecting a new one.`);
-            console.log("[SERVER_INFO] Daily game: Checking for unplayed active game...");
-            game = await new Promise((resolve, reject) => {
-                db.get("SELECT id, title, steam_app_id FROM games WHERE last_played_on IS NULL AND is_active = TRUE ORDER BY RANDOM() LIMIT 1", (err, row) => {
-                    if (err) { console.error("[DB_ERROR] Daily game B: Error fetching unplayed game:", err.message); reject(err); }
-                    else { console.log("[DB_INFO] Daily game B: Unplayed game check result:", row); resolve(row); }
-                });
-            });
+            console.log(`[SERVER_INFO] Daily game: No game pre-selected for ${todayStr}. Checking the schedule...`);
+            const scheduled = await getScheduledGame(db, todayStr);
+            if (scheduled && scheduled.is_active) {
+                console.log(`[SERVER_INFO] Daily game: Using scheduled game ID ${scheduled.id} ("${scheduled.title}") for ${todayStr}.`);
+                game = { id: scheduled.id, title: scheduled.title, steam_app_id: scheduled.steam_app_id };
+            } else if (scheduled) {
+                console.warn(`[SERVER_WARN] Daily game: Scheduled game ID ${scheduled.id} ("${scheduled.title}") is inactive. Falling back to a seeded pick.`);
+            }
 
+            let themeTag = null;
             if (!game) {
-                console.log("[SERVER_INFO] Daily game: All active games have been played. Selecting least recently played.");
-                game = await new Promise((resolve, reject) => {
-                    db.get("SELECT id, title, steam_app_id FROM games WHERE is_active = TRUE ORDER BY last_played_on ASC, RANDOM() LIMIT 1", (err, row) => {
-                        if (err) { console.error("[DB_ERROR] Daily game C: Error fetching least recently played game:", err.message); reject(err); }
-                        else { console.log("[DB_INFO] Daily game C: Least recently played check result:", row); resolve(row); }
+                let candidates = await new Promise((resolve, reject) => {
+                    db.all(`SELECT id, title, steam_app_id, last_played_on, genres, release_year, ${GAME_TAGS_SQL}, ${SCRAPED_REVIEW_COUNT_SQL} AS scraped FROM games
+                            WHERE is_active = TRUE AND ${NOT_SCHEDULED_LATER_SQL}`, [todayStr], (err, rows) => {
+                        if (err) { console.error("[DB_ERROR] Daily game B: Error fetching candidate games:", err.message); reject(err); }
+                        else { resolve(rows); }
                     });
                 });
+
+                // On a themed weekday only the games with the theme's tag are considered
+                themeTag = await getDailyThemeTag(todayStr);
+                if (themeTag) {
+                    const themed = filterByTag(candidates, themeTag);
+                    if (themed.length > 0) {
+                        console.log(`[SERVER_INFO] Daily game: Today is themed "${themeTag}". Picking from ${themed.length} tagged game(s).`);
+                        candidates = themed;
+                    } else {
+                        console.warn(`[SERVER_WARN] Daily game: No active games are tagged "${themeTag}" for today's theme. Picking from all games.`);
+                        themeTag = null;
+                    }
+                }
+                candidates = await balanceDifficulty(candidates, todayStr);
+
+                console.log("[SERVER_INFO] Daily game: Checking for unplayed active game...");
+                const unplayed = candidates.filter(g => !g.last_played_on);
+                game = pickSeededGame(unplayed, todayStr);
+                console.log(`[DB_INFO] Daily game B: ${unplayed.length} unplayed candidate(s). Pick:`, game);
+
+                if (!game && candidates.length > 0) {
+                    console.log("[SERVER_INFO] Daily game: All active games have been played. Selecting least recently played.");
+                    const oldest = candidates.reduce((min, g) => (g.last_played_on < min ? g.last_played_on : min), candidates[0].last_played_on);
+                    game = pickSeededGame(candidates.filter(g => g.last_played_on === oldest), todayStr);
+                    console.log(`[DB_INFO] Daily game C: Least recently played (${oldest}) pick:`, game);
+                }
             }
 
             if (game) {
-                console.log(`[SERVER_INFO] Daily game: Attempting to mark game ID ${game.id} as played.`);
-                await new Promise((resolve, reject) => {
-                    db.run("UPDATE games SET last_played_on = ? WHERE id = ?", [todayStr, game.id], function (err) {
-                        if (err) { console.error(`[DB_ERROR] Daily game D: Failed to update last_played_on for game ID ${game.id}:`, err.message); reject(err); }
-                        else { console.log(`[SERVER_INFO] Daily game D: Marked game ID ${game.id} ("${game.title}") as played on ${todayStr}. Changes: ${this.changes}`); resolve(); }
+                // The UNIQUE puzzle_date makes this the one place the day's game is decided. If another
+                // request or process recorded a puzzle first, its pick wins and is used instead.
+                console.log(`[SERVER_INFO] Daily game: Recording game ID ${game.id} as the puzzle for ${todayStr}.`);
+                const recorded = await new Promise((resolve, reject) => {
+                    db.run("INSERT OR IGNORE INTO daily_puzzles (puzzle_date, game_id, theme_tag) VALUES (?, ?, ?)", [todayStr, game.id, themeTag], function (err) {
+                        if (err) { console.error(`[DB_ERROR] Daily game E: Failed to record puzzle for ${todayStr}:`, err.message); reject(err); }
+                        else { resolve(this.changes > 0); }
                     });
                 });
+
+                if (recorded) {
+                    console.log(`[SERVER_INFO] Daily game: Attempting to mark game ID ${game.id} as played.`);
+                    await new Promise((resolve, reject) => {
+                        db.run("UPDATE games SET last_played_on = ? WHERE id = ?", [todayStr, game.id], function (err) {
+                            if (err) { console.error(`[DB_ERROR] Daily game D: Failed to update last_played_on for game ID ${game.id}:`, err.message); reject(err); }
+                            else { console.log(`[SERVER_INFO] Daily game D: Marked game ID ${game.id} ("${game.title}") as played on ${todayStr}. Changes: ${this.changes}`); resolve(); }
+                        });
+                    });
+                } else {
+                    console.warn(`[SERVER_WARN] Daily game E: A puzzle for ${todayStr} was recorded concurrently. Using that one.`);
+                }
+                game = await getRecordedDailyGame(todayStr);
+                if (game) console.log(`[SERVER_INFO] Daily game E: Puzzle #${game.puzzle_number} for ${todayStr} is game ID ${game.id}.`);
             }
         }
-        
+
 
         if (!game) {
             console.error("[DB_ERROR] Daily game: Could not select any game from the database after all checks.");
-            dailyGameCache = { date: todayStr, gameData: { error: true, message: "No games available to select for today." } };
-            return res.status(500).json(dailyGameCache.gameData);
+            dailyGameCache = { date: todayStr, cachedAt: Date.now(), gameData: { error: true, message: "No games available to select for today." } };
+            return dailyGameCache.gameData;
         }
 
-        console.log(`[SERVER_INFO] Daily game: Game selected ID ${game.id}: "${game.title}". Fetching and scraping reviews...`);
+        console.log(`[SERVER_INFO] Daily game: Game selected ID ${game.id}: "${game.title}". Loading stored reviews...`);
 
-        const fullGameDataWithReviews = await getAndScrapeReviewDataForGame(game);
+        const fullGameDataWithReviews = { ...await getReviewDataForGame(game), date: todayStr, puzzleNumber: game.puzzle_number, category: game.theme_tag || null };
 
-        dailyGameCache = { date: todayStr, gameData: fullGameDataWithReviews };
+        dailyGameCache = { date: todayStr, cachedAt: Date.now(), gameData: fullGameDataWithReviews };
         console.log(`[CACHE_UPDATE] Daily game data for ${todayStr} (Game: "${fullGameDataWithReviews.title || game.title}") cached.`);
 
         if (fullGameDataWithReviews.error) {
             console.error(`[SERVER_ERROR] Failed to get reviews for daily game "${fullGameDataWithReviews.title || game.title}": ${fullGameDataWithReviews.message}`);
-            return res.status(500).json({ error: fullGameDataWithReviews.message || "Failed to process reviews for the daily game." });
+        } else if (fullGameDataWithReviews.reviews.some(r => r.error) && process.env.DISABLE_REVIEW_SCRAPE_JOB !== 'true') {
+            // Retry the missing clues now rather than waiting for the next scheduled run.
+            // The refreshed content is picked up once the cache entry above expires.
+            console.warn(`[SERVER_WARN] Daily game "${game.title}" has unavailable clues. Starting a scrape for game ID ${game.id}.`);
+            scrapePendingReviews(db, { gameId: game.id }).catch(error => {
+                console.error(`[SCRAPE_JOB_ERROR] Scrape for game ID ${game.id} failed:`, error.message);
+            });
         }
+        return fullGameDataWithReviews;
+
+    } catch (error) {
+        console.error("[SERVER_ERROR] Critical error in getDailyGameData's main try-catch block:", error);
+        dailyGameCache = { date: todayStr, cachedAt: Date.now(), gameData: { error: true, message: "Internal server error while selecting daily game." } };
+        return dailyGameCache.gameData;
+    }
+}
+
+// A failed clue's source URL contains the Steam app ID, so it is held back until game over.
+// In hard mode everything about the reviewer (name, avatar, playtime, date) is held back too,
+// leaving only the recommendation and the review text.
+function toPublicClue(review, { hardMode = false } = {}) {
+    if (review && review.error) {
+        const { originalUrl, ...rest } = review;
+        return rest;
+    }
+    if (review && hardMode) {
+        const { reviewerName, reviewerAvatarUrl, playtime, datePosted, ...rest } = review;
+        return rest;
+    }
+    return review;
+}
+
+// What the client gets when it starts a puzzle: the first clue only.
+// Practice games have a `practiceId` instead of a date and puzzle number.
+// `category` is the tag the game was picked for (a daily theme or a practice ?tag=), if any. Later clues come
+// from /api/guess, and the title/appId are only revealed once the game is over.
+// `hints` lists the hints this game has (no values; those come from /api/hint).
+// `state` is the signed progress token for clue 0, sent back with the first guess.
+// `serverTime` lets the client correct for its own clock when counting down to `nextPuzzleAt`.
+function toPublicPuzzle(gameData, { hardMode = false } = {}) {
+    const now = new Date();
+    return {
+        date: gameData.date,
+        puzzleNumber: gameData.puzzleNumber,
+        practiceId: gameData.practiceId || null,
+        isDaily: gameData.date === getTodayDateStr(now),
+        timezone: PUZZLE_TIMEZONE,
+        nextPuzzleAt: getNextRolloverTime(now).toISOString(),
+        serverTime: now.toISOString(),
+        totalClues: gameData.reviews.length,
+        hardMode,
+        category: gameData.category || null,
+        hints: listAvailableHints(gameData.hints),
+        state: puzzleState.sign(gameData, 0),
+        reviews: [toPublicClue(gameData.reviews[0], { hardMode })]
+    };
+}
 
-        console.log(`[SERVER_INFO] Sending daily game data for "${fullGameDataWithReviews.title}" to client.`);
-        res.json(fullGameDataWithReviews);
+// Looks up a past (or today's) puzzle by number or date. Future puzzles are never returned.
+function getPuzzleRecord({ number, date }) {
+    const todayStr = getTodayDateStr();
+    const column = number !== undefined ? 'p.puzzle_number' : 'p.puzzle_date';
+    return new Promise((resolve, reject) => {
+        db.get(`SELECT p.puzzle_number, p.puzzle_date, p.theme_tag, g.id, g.title, g.steam_app_id FROM daily_puzzles p
+                JOIN games g ON g.id = p.game_id WHERE ${column} = ? AND p.puzzle_date <= ?`,
+            [number !== undefined ? number : date, todayStr], (err, row) => {
+                if (err) { console.error("[DB_ERROR] Puzzle lookup failed:", err.message); reject(err); }
+                else resolve(row);
+            });
+    });
+}
+
+// Full game data for any puzzle. Today's puzzle goes through the daily cache; past
+// puzzles are loaded on first request and kept in archiveGameCache (successes only).
+async function getPuzzleGameData(puzzleRecord) {
+    if (puzzleRecord.puzzle_date === getTodayDateStr()) {
+        return getDailyGameData();
+    }
+    if (archiveGameCache.has(puzzleRecord.puzzle_date)) {
+        console.log(`[CACHE_HIT] Serving archive puzzle #${puzzleRecord.puzzle_number} from cache.`);
+        return archiveGameCache.get(puzzleRecord.puzzle_date);
+    }
 
+    const gameData = {
+        ...await getReviewDataForGame(puzzleRecord),
+        date: puzzleRecord.puzzle_date,
+        puzzleNumber: puzzleRecord.puzzle_number,
+        category: puzzleRecord.theme_tag || null
+    };
+    if (!gameData.error) {
+        archiveGameCache.set(puzzleRecord.puzzle_date, gameData);
+    }
+    return gameData;
+}
+
+// For log lines
+function describePuzzle(gameData) {
+    return gameData.practiceId ? `practice game ID ${gameData.practiceId}` : `puzzle #${gameData.puzzleNumber} (${gameData.date})`;
+}
+
+// Puzzle requests ask for hard mode with ?hard=1
+function isHardModeRequest(req) {
+    return req.query.hard === '1' || req.query.hard === 'true';
+}
+
+function sendPuzzle(res, gameData, { hardMode = false } = {}) {
+    if (gameData.error) {
+        return res.status(500).json({ error: gameData.message || "Failed to get puzzle data." });
+    }
+    if (gameData.reviews.length === 0) {
+        return res.status(500).json({ error: "No review clues are available for this puzzle." });
+    }
+    console.log(`[SERVER_INFO] Sending first clue for ${describePuzzle(gameData)} to client.`);
+    res.json(toPublicPuzzle(gameData, { hardMode }));
+}
+
+app.get('/api/daily-game', async (req, res) => {
+    console.log("[SERVER_INFO] Request received for /api/daily-game (Cache Integrated)");
+    sendPuzzle(res, await getDailyGameData(), { hardMode: isHardModeRequest(req) });
+});
+
+// Archive: list of previous days' puzzles, newest first. Titles are never included.
+app.get('/api/puzzles', (req, res) => {
+    db.all("SELECT puzzle_number, puzzle_date FROM daily_puzzles WHERE puzzle_date < ? ORDER BY puzzle_date DESC",
+        [getTodayDateStr()], (err, rows) => {
+            if (err) {
+                console.error("[DB_ERROR] Failed to list archive puzzles:", err.message);
+                return res.status(500).json({ error: "Failed to load the puzzle archive." });
+            }
+            res.json(rows.map(r => ({ puzzleNumber: r.puzzle_number, date: r.puzzle_date })));
+        });
+});
+
+// Archive: a single puzzle by number (/api/puzzle/142) or date (/api/puzzle?date=2025-06-01)
+app.get(['/api/puzzle', '/api/puzzle/:number'], async (req, res) => {
+    let lookup;
+    if (req.params.number !== undefined) {
+        const number = Number(req.params.number);
+        if (!Number.isInteger(number) || number < 1) {
+            return res.status(400).json({ error: "Puzzle number must be a positive integer." });
+        }
+        lookup = { number };
+    } else if (req.query.date) {
+        if (!isValidDateStr(req.query.date)) {
+            return res.status(400).json({ error: "date must be in YYYY-MM-DD format." });
+        }
+        lookup = { date: req.query.date };
+    } else {
+        return res.status(400).json({ error: "A puzzle number or date is required." });
+    }
+
+    try {
+        if (lookup.date && lookup.date > getTodayDateStr()) {
+            return res.status(403).json({ error: "That puzzle hasn't been released yet." });
+        }
+        const puzzleRecord = await getPuzzleRecord(lookup);
+        if (!puzzleRecord) {
+            return res.status(404).json({ error: "No puzzle found. It may not have been released yet." });
+        }
+        sendPuzzle(res, await getPuzzleGameData(puzzleRecord), { hardMode: isHardModeRequest(req) });
     } catch (error) {
-        console.error("[SERVER_ERROR] Critical error in /api/daily-game's main try-catch block:", error);
-        dailyGameCache = { date: todayStr, gameData: { error: true, message: "Internal server error while selecting daily game." } };
-        return res.status(500).json(dailyGameCache.gameData);
+        console.error("[SERVER_ERROR] Failed to load archive puzzle:", error);
+        res.status(500).json({ error: "Internal server error while loading the puzzle." });
     }
 });
 
+// --- Practice Mode ---
+// Practice games are random active games, played as often as you like. They are never
+// recorded in daily_puzzles and never touch last_played_on. Today's game and any game
+// scheduled for a later date are left out so practice can't spoil a daily puzzle.
+const PRACTICE_MAX_EXCLUDED = 50;
+
+// Active games with at least one scraped clue that may be served for practice today
+async function getPracticeCandidates() {
+    const todayStr = getTodayDateStr();
+    await getDailyGameData(); // Makes sure today's game has been picked before it is left out
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT id, title, steam_app_id, genres, release_year, ${GAME_TAGS_SQL} FROM games
+                WHERE is_active = TRUE AND ${SCRAPED_REVIEW_COUNT_SQL} > 0 AND ${NOT_SCHEDULED_LATER_SQL}
+                AND id NOT IN (SELECT game_id FROM daily_puzzles WHERE puzzle_date = ?)`, [todayStr, todayStr], (err, rows) => {
+            if (err) { console.error("[DB_ERROR] Practice: Error fetching candidate games:", err.message); reject(err); }
+            else resolve(rows);
+        });
+    });
+}
 
-// Helper function to scrape a single Steam review page
-async function scrapeSteamReview(reviewUrl) {
-    
+async function getPracticeGameData(game) {
+    if (practiceGameCache.has(game.id)) {
+        console.log(`[CACHE_HIT] Serving practice game ID ${game.id} from cache.`);
+        return practiceGameCache.get(game.id);
+    }
+    const gameData = { ...await getReviewDataForGame(game), practiceId: game.id };
+    if (!gameData.error) {
+        practiceGameCache.set(game.id, gameData);
+    }
+    return gameData;
+}
+
+// Full game data for practice game `practiceId`, or null if it can't be played for practice
+async function getPracticeGameDataById(practiceId) {
+    const game = (await getPracticeCandidates()).find(candidate => candidate.id === practiceId);
+    return game ? getPracticeGameData(game) : null;
+}
+
+function parseIdList(value) {
+    if (typeof value !== 'string' || value === '') return [];
+    return value.split(',').map(Number).filter(id => Number.isInteger(id) && id > 0).slice(-PRACTICE_MAX_EXCLUDED);
+}
+
+// A random practice game: /api/practice-game?exclude=3,17,42 leaves out recently seen games
+// (unless that would leave nothing to play), and ?tag=indie only picks games with that tag.
+// /api/practice-game?id=17 reloads a game in progress.
+app.get('/api/practice-game', async (req, res) => {
+    const hardMode = isHardModeRequest(req);
+    const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
     try {
-        const { data: html } = await axios.get(reviewUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36',
-                'Accept-Language': 'en-US,en;q=0.9'
+        if (req.query.id !== undefined) {
+            const practiceId = Number(req.query.id);
+            if (!Number.isInteger(practiceId) || practiceId < 1) {
+                return res.status(400).json({ error: "id must be a positive integer." });
             }
+            const game = (await getPracticeCandidates()).find(candidate => candidate.id === practiceId);
+            if (!game) {
+                return res.status(404).json({ error: "That practice game is no longer available." });
+            }
+            const category = tag && gameTags(game).has(tag) ? tag : null;
+            return sendPuzzle(res, { ...await getPracticeGameData(game), category }, { hardMode });
+        }
+
+        const allCandidates = await getPracticeCandidates();
+        const candidates = tag ? filterByTag(allCandidates, tag) : allCandidates;
+        if (candidates.length === 0) {
+            return res.status(404).json({ error: tag ? `No practice games are tagged "${tag}".` : "No games are available for practice right now." });
+        }
+        const excluded = new Set(parseIdList(req.query.exclude));
+        const unseen = candidates.filter(game => !excluded.has(game.id));
+        if (unseen.length === 0) {
+            console.log("[SERVER_INFO] Practice: Every candidate was excluded as recently seen. Picking from all of them.");
+        }
+        const pool = unseen.length > 0 ? unseen : candidates;
+        const game = pool[Math.floor(Math.random() * pool.length)];
+        console.log(`[SERVER_INFO] Practice: Picked game ID ${game.id} ("${game.title}") from ${pool.length} candidate(s)${tag ? ` tagged "${tag}"` : ''}.`);
+        sendPuzzle(res, { ...await getPracticeGameData(game), category: tag }, { hardMode });
+    } catch (error) {
+        console.error("[SERVER_ERROR] Failed to load practice game:", error);
+        res.status(500).json({ error: "Internal server error while loading a practice game." });
+    }
+});
+
+// The tags practice games can be filtered on, most common first: [{ tag, count }]
+app.get('/api/tags', async (req, res) => {
+    try {
+        const counts = new Map();
+        (await getPracticeCandidates()).forEach(game => {
+            gameTags(game).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
         });
-        const $ = cheerio.load(html);
-        const reviewData = {
-            reviewerName: "A Steam User",
-            reviewerAvatarUrl: null,
-            recommendation: "Not specified",
-            playtime: "Playtime not shown",
-            datePosted: "Date not found",
-            reviewText: "Could not load review text."
-        };
+        const tags = [...counts].map(([tag, count]) => ({ tag, count }));
+        tags.sort((a, b) => (b.count - a.count) || (a.tag < b.tag ? -1 : 1));
+        res.json(tags);
+    } catch (error) {
+        console.error("[SERVER_ERROR] Failed to list tags:", error);
+        res.status(500).json({ error: "Internal server error while listing tags." });
+    }
+});
+
+// Full game data for the game a guess or hint request is about, or null if there is none:
+// practice game `practiceId` if given, otherwise the puzzle on `date` (today's when omitted).
+async function getGameDataForRequest({ date, practiceId }) {
+    if (practiceId !== undefined && practiceId !== null && practiceId !== '') {
+        const id = Number(practiceId);
+        return Number.isInteger(id) && id > 0 ? getPracticeGameDataById(id) : null;
+    }
+    if (date && date !== getTodayDateStr()) {
+        const puzzleRecord = await getPuzzleRecord({ date });
+        return puzzleRecord ? getPuzzleGameData(puzzleRecord) : null;
+    }
+    return getDailyGameData();
+}
+
+// Records a finished game for `deviceToken` (see /api/guess). Failures are only logged: the
+// player's result doesn't depend on them.
+async function recordGameOver(gameData, { deviceToken, won, clues, hardMode }) {
+    if (!isValidDeviceToken(deviceToken)) return;
+    try {
+        await recordOutcome(db, { gameId: gameData.gameId, puzzleDate: gameData.date || null, deviceToken, solved: won, cluesUsed: clues, hardMode });
+        if (!gameData.practiceId && gameData.date === getTodayDateStr()) {
+            const recorded = await recordDailyResult(db, { date: gameData.date, deviceToken, won, clues, hardMode });
+            if (recorded) console.log(`[RESULTS_INFO] Recorded a ${won ? `win in ${clues}` : 'loss'} for ${describePuzzle(gameData)}.`);
+        }
+    } catch (error) {
+        // Already logged
+    }
+}
+
+// Checks a guess. `state` is the player's signed progress token (see puzzle-state.js); it
+// names the puzzle, so a game started before midnight is still checked against the right
+// answer, and the clue the guess is for. A client that also sends `clueIndex` must agree
+// with it. Each token takes one guess; reusing it is refused. A wrong guess releases the
+// next clue along with a token for it, and the answer is included once the game is won or
+// the last clue has been used up.
+// Errors about the token itself come with `restart: true`: that game can't be continued.
+// A guess picked from autocomplete carries its Steam `appid`, which is correct when it is
+// the game's steam_app_id. Otherwise the `guess` text is matched forgivingly (see
+// answer-match.js); `matchedAlias` is set when it was accepted as one of the game's aliases.
+// With `hardMode: true` the next clue is sent without its reviewer details.
+// `skip: true` (with no guess) gives up the current clue: it counts as a wrong guess.
+// A game that ends here is recorded as an anonymous outcome for difficulty.js and, for
+// today's daily puzzle, in the "how everyone did" results (daily-results.js). Both count once
+// per `deviceToken`; without a token nothing is recorded.
+app.post('/api/guess', async (req, res) => {
+    const isSkip = req.body.skip === true;
+    const guessRaw = !isSkip && typeof req.body.guess === 'string' ? req.body.guess.trim() : "";
+    const guessAppId = !isSkip && req.body.appid !== undefined && req.body.appid !== null ? String(req.body.appid).trim() : "";
+    const state = puzzleState.verify(req.body.state);
+
+    if (!guessRaw && !isSkip) {
+        return res.status(400).json({ error: "A guess is required." });
+    }
+    if (!state) {
+        return res.status(400).json({ error: "Missing or invalid puzzle state. Please reload the puzzle.", restart: true });
+    }
+    const clueIndex = state.clueIndex;
+    if (req.body.clueIndex !== undefined && Number(req.body.clueIndex) !== clueIndex) {
+        return res.status(409).json({ error: `This guess is for clue ${Number(req.body.clueIndex) + 1}, but you are on clue ${clueIndex + 1}. Please reload the puzzle.`, restart: true });
+    }
+
+    let gameData;
+    try {
+        gameData = await getGameDataForRequest(state);
+    } catch (error) {
+        console.error("[SERVER_ERROR] Failed to load puzzle for guess:", error);
+        return res.status(500).json({ error: "Internal server error while checking the guess." });
+    }
+    if (!gameData) {
+        return res.status(404).json({ error: "No puzzle found for that date or practice game." });
+    }
+    if (gameData.error) {
+        return res.status(500).json({ error: gameData.message || "Failed to get puzzle data." });
+    }
 
-        
-        let tempName = $('.profile_small_header_name a.persona_name_text_content').text().trim();
-        if (tempName) reviewData.reviewerName = tempName;
-        else {
-            tempName = $('.profile_small_header_name').clone().children().remove().end().text().trim();
-            if (tempName) reviewData.reviewerName = tempName;
+    const totalClues = gameData.reviews.length;
+    if (clueIndex >= totalClues) {
+        return res.status(400).json({ error: "This puzzle is already over. Please reload the puzzle.", restart: true });
+    }
+    try {
+        if (!await spendPuzzleState(db, state)) {
+            console.warn(`[GUESS_WARN] Refused a reused progress token for ${describePuzzle(gameData)} at clue ${clueIndex + 1}.`);
+            return res.status(409).json({ error: "A guess was already made for this clue. Please reload the puzzle.", restart: true });
         }
+    } catch (error) {
+        return res.status(500).json({ error: "Internal server error while checking the guess." });
+    }
 
-        let avatarSrc = $('.profile_small_header_avatar .playerAvatar > img:last-child').attr('src');
-        if (!avatarSrc) {
-            avatarSrc = $('.profile_small_header_avatar .playerAvatar img').eq(1).attr('src');
+    const matchedAppId = guessAppId !== "" && guessAppId === String(gameData.appId);
+    let isCorrect = false;
+    let matchedAlias = null;
+    if (matchedAppId) {
+        isCorrect = true;
+    } else if (!isSkip) {
+        ({ correct: isCorrect, matchedAlias } = matchGuess(guessRaw, gameData.title, gameData.aliases || []));
+    }
+    const isLastClue = clueIndex >= totalClues - 1;
+    const matchedBy = matchedAppId ? ' (by appid)' : matchedAlias ? ` (alias "${matchedAlias}")` : '';
+    if (isSkip) {
+        console.log(`[GUESS_INFO] Skipped clue ${clueIndex + 1}/${totalClues} for ${describePuzzle(gameData)}.`);
+    } else {
+        console.log(`[GUESS_INFO] Guess "${guessRaw}"${guessAppId ? ` [appid ${guessAppId}]` : ''} for ${describePuzzle(gameData)} at clue ${clueIndex + 1}/${totalClues} was ${isCorrect ? 'correct' : 'incorrect'}${matchedBy}.`);
+    }
+
+    if (isCorrect || isLastClue) {
+        await recordGameOver(gameData, {
+            deviceToken: req.body.deviceToken,
+            won: isCorrect,
+            clues: clueIndex + 1,
+            hardMode: req.body.hardMode === true
+        });
+        return res.json({
+            correct: isCorrect,
+            gameOver: true,
+            matchedAlias,
+            title: gameData.title,
+            appId: gameData.appId,
+            reviews: gameData.reviews
+        });
+    }
+
+    res.json({
+        correct: false,
+        gameOver: false,
+        clueIndex: clueIndex + 1,
+        nextClue: toPublicClue(gameData.reviews[clueIndex + 1], { hardMode: req.body.hardMode === true }),
+        state: puzzleState.sign(gameData, clueIndex + 1)
+    });
+});
+
+// --- Global Results ("how everyone did") ---
+// Full game data for the daily puzzle on `date` (today's when omitted). Sends an error
+// response and resolves to null when there is none.
+async function loadResultsPuzzle(date, res) {
+    if (date !== undefined && !isValidDateStr(date)) {
+        res.status(400).json({ error: "date must be in YYYY-MM-DD format." });
+        return null;
+    }
+    try {
+        const gameData = await getGameDataForRequest({ date });
+        if (!gameData) {
+            res.status(404).json({ error: "No puzzle found for that date." });
+            return null;
         }
-        if (avatarSrc) reviewData.reviewerAvatarUrl = avatarSrc;
-
-        let tempRec = $('.ratingSummaryBlock .ratingSummaryHeader .ratingSummary').text().trim();
-        if (tempRec) reviewData.recommendation = tempRec;
-
-        const playTimeText = $('.ratingSummaryBlock .ratingSummaryHeader .playTime').text().trim();
-        const atReviewTimeMatch = playTimeText.match(/\(([^)]+) at review time\)/);
-        if (atReviewTimeMatch && atReviewTimeMatch[1]) {
-            reviewData.playtime = atReviewTimeMatch[1];
-        } else if (playTimeText) {
-            let fallbackPlaytime = playTimeText.split('/')[1]?.trim().split(' on record')[0]?.trim();
-            if (fallbackPlaytime) {
-                reviewData.playtime = fallbackPlaytime;
-                if (!reviewData.playtime.includes("hrs")) reviewData.playtime += " hrs";
-                if (reviewData.playtime === "hrs") reviewData.playtime = "Playtime not shown";
-            }
+        if (gameData.error) {
+            res.status(500).json({ error: gameData.message || "Failed to get puzzle data." });
+            return null;
         }
+        return gameData;
+    } catch (error) {
+        console.error("[SERVER_ERROR] Failed to load puzzle for results:", error);
+        res.status(500).json({ error: "Internal server error while loading results." });
+        return null;
+    }
+}
 
-        let tempDate = $('.ratingSummaryBlock .recommendation_date').text().trim().replace('Posted: ', '');
-        if (tempDate) reviewData.datePosted = tempDate;
+// GET /api/results?date= -> { date, players, wins, losses, distribution } for the daily
+// puzzle on `date` (today's when omitted). distribution[i] counts wins with i + 1 clues.
+// Results are recorded by /api/guess when a player finishes the puzzle on its day.
+app.get('/api/results', async (req, res) => {
+    const gameData = await loadResultsPuzzle(req.query.date, res);
+    if (!gameData) return;
+    try {
+        res.json(await getDailyDistribution(db, gameData.date, gameData.reviews.length));
+    } catch (error) {
+        res.status(500).json({ error: "Internal server error while loading results." });
+    }
+});
 
-        let reviewContentHTML = $('#ReviewText').html();
-        if (reviewContentHTML) {
-            reviewContentHTML = reviewContentHTML.replace(/<br\s*\/?>/gi, '\n');
-            reviewData.reviewText = $('<div>').html(reviewContentHTML).text().trim();
+// Loads the puzzle of progress token ?state= and checks that hint ?key= is unlocked by the
+// misses it records. Sends an error response and resolves to null when it isn't.
+async function loadUnlockedHint(req, res) {
+    const hint = findHint(req.query.key);
+    const state = puzzleState.verify(req.query.state);
+    if (!hint) {
+        res.status(400).json({ error: "Unknown hint." });
+        return null;
+    }
+    if (!state) {
+        res.status(400).json({ error: "Missing or invalid puzzle state. Please reload the puzzle." });
+        return null;
+    }
+    if (state.clueIndex < hint.afterMisses) {
+        res.status(403).json({ error: `The ${hint.label.toLowerCase()} hint unlocks after ${hint.afterMisses} wrong guess(es).` });
+        return null;
+    }
+    try {
+        const gameData = await getGameDataForRequest(state);
+        if (!gameData) {
+            res.status(404).json({ error: "No puzzle found for that date or practice game." });
+            return null;
+        }
+        if (gameData.error) {
+            res.status(500).json({ error: gameData.message || "Failed to get puzzle data." });
+            return null;
         }
-        
+        const value = gameData.hints ? gameData.hints[hint.key] : null;
+        if (value === null || value === undefined) {
+            res.status(404).json({ error: "This puzzle has no such hint." });
+            return null;
+        }
+        return { hint, value, gameData, misses: state.clueIndex };
+    } catch (error) {
+        console.error("[SERVER_ERROR] Failed to load hint:", error);
+        res.status(500).json({ error: "Internal server error while loading the hint." });
+        return null;
+    }
+}
 
-        
-        return reviewData;
+// GET /api/hint?state=&key= -> { key, label, value }, where `state` is the player's current
+// progress token. For the header image the value is a URL of /api/hint-image, which serves
+// a blurred copy of the picture without revealing its app ID.
+app.get('/api/hint', async (req, res) => {
+    const unlocked = await loadUnlockedHint(req, res);
+    if (!unlocked) return;
+    const { hint, value, gameData, misses } = unlocked;
+    console.log(`[HINT_INFO] Revealing ${hint.key} hint for ${describePuzzle(gameData)} after ${misses} miss(es).`);
+    const params = new URLSearchParams({ key: hint.key, state: req.query.state });
+    res.json({
+        key: hint.key,
+        label: hint.label,
+        value: hint.key === 'headerImage' ? `/api/hint-image?${params}` : value
+    });
+});
 
+// The header image is shrunk to HINT_IMAGE_DETAIL_WIDTH pixels across before it is scaled
+// back up and blurred, so the picture sent can't be sharpened back into the original.
+const HINT_IMAGE_DETAIL_WIDTH = 24;
+const HINT_IMAGE_WIDTH = 230;
+
+// The blurred header image of Steam app `appId`, downloaded and blurred on first request and
+// kept in hintImageCache (successes only)
+async function getBlurredHeaderImage(appId) {
+    if (hintImageCache.has(appId)) {
+        console.log(`[CACHE_HIT] Serving blurred header image for app ${appId} from cache.`);
+        return hintImageCache.get(appId);
+    }
+    const image = await axios.get(`https://cdn.akamai.steamstatic.com/steam/apps/${appId}/header.jpg`, { responseType: 'arraybuffer', timeout: 10 * 1000 });
+    const detail = await sharp(Buffer.from(image.data)).resize(HINT_IMAGE_DETAIL_WIDTH).toBuffer();
+    const blurred = await sharp(detail).resize(HINT_IMAGE_WIDTH).blur(4).jpeg().toBuffer();
+    hintImageCache.set(appId, blurred);
+    return blurred;
+}
+
+app.get('/api/hint-image', async (req, res) => {
+    if (req.query.key !== 'headerImage') {
+        return res.status(400).json({ error: "Only the header image hint is an image." });
+    }
+    const unlocked = await loadUnlockedHint(req, res);
+    if (!unlocked) return;
+    const appId = unlocked.gameData.appId;
+    try {
+        const blurred = await getBlurredHeaderImage(appId);
+        res.set('Content-Type', 'image/jpeg');
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.send(blurred);
     } catch (error) {
-        console.error(`[SCRAPER_ERROR] Failed to scrape ${reviewUrl}: ${error.message}`);
-        return { error: true, message: `Scraping failed`, originalUrl: reviewUrl, reviewerName: "Error" };
+        console.error(`[HINT_ERROR] Failed to fetch header image for ${describePuzzle(unlocked.gameData)}:`, error.message);
+        res.status(502).json({ error: "Could not load the header image." });
+    }
+});
+
+// --- Background Jobs ---
+// Scrapes any reviews still missing content (new games, earlier failures) so that
+// puzzles can be served straight from the database.
+function startReviewScrapeJob() {
+    if (process.env.DISABLE_REVIEW_SCRAPE_JOB === 'true') {
+        console.log("[SCRAPE_JOB_INFO] Background review scraping is disabled via DISABLE_REVIEW_SCRAPE_JOB environment variable.");
+        return;
     }
+    const runJob = () => scrapePendingReviews(db)
+        .then(() => fetchMissingGameDetails(db))
+        .catch(error => {
+            console.error("[SCRAPE_JOB_ERROR] Background review scrape failed:", error.message);
+        });
+    db.ready.then(runJob);
+    setInterval(runJob, REVIEW_SCRAPE_INTERVAL);
 }
 
+function startSteamAppsRefreshJob() {
+    const refreshIfStale = () => {
+        if (!steamAppsIndex || Date.now() - lastSteamAppsFetchTime > STEAM_APPS_CACHE_DURATION) {
+            fetchAndCacheSteamApps();
+        }
+    };
+    refreshIfStale();
+    setInterval(refreshIfStale, STEAM_APPS_REFRESH_CHECK_INTERVAL);
+}
 
 // --- Start Server ---
-fetchAndCacheSteamApps().then(() => {
-    app.listen(PORT, () => {
-        console.log(`[SERVER_INFO] Steamdle server started successfully on http://localhost:${PORT}`);
-        console.log(`[SERVER_INFO] Frontend should be accessible at http://localhost:${PORT}/ (or /index.html)`);
-    });
-}).catch(initialError => {
-    console.error("[SERVER_FATAL] A critical error occurred during server startup:", initialError);
-    app.listen(PORT, () => {
-        console.warn(`[SERVER_WARN] Steamdle server started on http://localhost:${PORT} BUT with an initial error.`);
-    });
-});
\ No newline at end of file
+startReviewScrapeJob();
+db.ready.then(refreshPoolAppIds);
+// The refresh job waits for the snapshot so it can tell whether the list is due for a refresh
+loadSteamAppsSnapshot()
+    .catch(error => console.error("[STEAM_API_ERROR] Failed to index the app list snapshot:", error.message))
+    .then(startSteamAppsRefreshJob);
+app.listen(PORT, () => {
+    console.log(`[SERVER_INFO] Steamdle server started successfully on http://localhost:${PORT}`);
+    console.log(`[SERVER_INFO] Puzzles roll over at midnight ${PUZZLE_TIMEZONE} (today is ${getTodayDateStr()}).`);
+    console.log(`[SERVER_INFO] Frontend should be accessible at http://localhost:${PORT}/ (or /index.html)`);
+});
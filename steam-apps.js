@@ -0,0 +1,140 @@
+// Steam's full app list, used for autocomplete (server.js) and for checking that
+// content file app IDs exist (content.js).
+//
+// With STEAM_API_KEY set, the list comes from the store's app catalogue, which is queried
+// once per app type, so each entry carries a `type` ('game', 'dlc' or 'software') and
+// autocomplete can keep just the games. Without a key, the public list has names only and
+// non-games are guessed from their names (see NON_GAME_KEYWORDS).
+//
+// Set STEAM_APPS_FIXTURE_FILE to a JSON file (Steam's GetAppList response, or just its
+// array of { appid, name, type? }) to use that instead of Steam, for offline development.
+
+const fs = require('fs');
+
+const STEAM_APP_LIST_URL = 'https://api.steampowered.com/ISteamApps/GetAppList/v2/';
+const STEAM_STORE_APP_LIST_URL = 'https://api.steampowered.com/IStoreService/GetAppList/v1/';
+const STORE_APP_LIST_PAGE_SIZE = 50000;
+// How many entries filterGameApps goes through between yields
+const FILTER_CHUNK_SIZE = 10000;
+// App type -> the IStoreService flag that lists it. DLC includes soundtracks.
+const STORE_APP_TYPES = {
+    game: 'include_games',
+    dlc: 'include_dlc',
+    software: 'include_software'
+};
+
+// Fallback only, for entries without a type. Matched as whole words, so "Unpacking"
+// and "Return to Monkey Island" are no longer caught by "pack" and "key".
+const NON_GAME_KEYWORDS = [
+    'dlc', 'soundtrack', 'ost', 'artbook', 'art book', 'expansion',
+    'pack', 'demo', 'beta', 'playtest', 'bonus', 'season pass',
+    'skin', 'wallpaper', 'trailer', 'key', 'server', 'dedicated server',
+    'sdk', 'tool', 'editor', 'trial', 'vr edition'
+];
+const NON_GAME_KEYWORD_REGEX = new RegExp(`\\b(?:${NON_GAME_KEYWORDS.join('|')})\\b`, 'i');
+
+// Games whose names contain one of the keywords anyway
+const NON_GAME_KEYWORD_ALLOWLIST = [
+    /^the jackbox party pack\b/i,
+    /^the jackbox naughty pack\b/i
+];
+
+function loadAppListFixture(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const apps = Array.isArray(data) ? data : data.applist && data.applist.apps;
+    if (!Array.isArray(apps)) {
+        throw new Error(`Fixture ${file} is neither an app array nor a GetAppList response.`);
+    }
+    return apps;
+}
+
+// Every app of one type in the store catalogue, following the catalogue's paging
+async function fetchStoreAppsOfType(apiKey, type) {
+    const apps = [];
+    let lastAppId = 0;
+    for (;;) {
+        const params = new URLSearchParams({ key: apiKey, max_results: String(STORE_APP_LIST_PAGE_SIZE), last_appid: String(lastAppId) });
+        Object.values(STORE_APP_TYPES).forEach(flag => params.set(flag, String(flag === STORE_APP_TYPES[type])));
+        const response = await fetch(`${STEAM_STORE_APP_LIST_URL}?${params}`);
+        if (!response.ok) {
+            throw new Error(`Steam store app list request failed with status: ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data.response) {
+            throw new Error("Steam API returned an unexpected data structure for the store app list.");
+        }
+        (data.response.apps || []).forEach(app => apps.push({ appid: app.appid, name: app.name, type }));
+        if (!data.response.have_more_results) return apps;
+        lastAppId = data.response.last_appid;
+    }
+}
+
+// Resolves to every { appid, name } entry Steam knows about, unfiltered. Entries also
+// have a `type` when it is known (store catalogue or a fixture that lists types).
+async function fetchSteamAppList() {
+    if (process.env.STEAM_APPS_FIXTURE_FILE) {
+        return loadAppListFixture(process.env.STEAM_APPS_FIXTURE_FILE);
+    }
+    if (process.env.STEAM_API_KEY) {
+        const apps = [];
+        for (const type of Object.keys(STORE_APP_TYPES)) {
+            apps.push(...await fetchStoreAppsOfType(process.env.STEAM_API_KEY, type));
+        }
+        return apps;
+    }
+    const response = await fetch(STEAM_APP_LIST_URL);
+    if (!response.ok) {
+        throw new Error(`Steam API request failed with status: ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data.applist || !data.applist.apps) {
+        throw new Error("Steam API returned an unexpected data structure for app list.");
+    }
+    return data.applist.apps;
+}
+
+function isGameApp(app) {
+    if (app.type) return app.type === 'game';
+    if (NON_GAME_KEYWORD_ALLOWLIST.some(pattern => pattern.test(app.name))) return true;
+    return !NON_GAME_KEYWORD_REGEX.test(app.name);
+}
+
+// Drops unnamed entries and non-games and keeps one entry per name, in list order.
+// Steam's list is gone through FILTER_CHUNK_SIZE entries at a time, letting other work
+// (like requests) run in between.
+async function filterGameApps(rawApps) {
+    const uniqueAppsByName = new Map();
+    for (let start = 0; start < rawApps.length; start += FILTER_CHUNK_SIZE) {
+        if (start > 0) await new Promise(resolve => setImmediate(resolve));
+        rawApps.slice(start, start + FILTER_CHUNK_SIZE).forEach(app => {
+            if (!app.name || app.name.trim() === "" || uniqueAppsByName.has(app.name) || !isGameApp(app)) return;
+            uniqueAppsByName.set(app.name, { name: app.name, appid: app.appid });
+        });
+    }
+    return Array.from(uniqueAppsByName.values());
+}
+
+// The raw list as last fetched, so a restart doesn't have to wait for Steam.
+// Returns { fetchedAt, apps }, or null when there is no usable snapshot.
+function loadAppListSnapshot(file) {
+    try {
+        const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(snapshot.apps) || typeof snapshot.fetchedAt !== 'number') return null;
+        return snapshot;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[STEAM_API_ERROR] Ignoring unreadable app list snapshot ${file}:`, error.message);
+        }
+        return null;
+    }
+}
+
+// Written to a temporary file and renamed over the old snapshot, so a crash mid-write
+// never leaves a truncated snapshot behind
+function saveAppListSnapshot(file, apps, fetchedAt = Date.now()) {
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ fetchedAt, apps }));
+    fs.renameSync(tempFile, file);
+}
+
+module.exports = { fetchSteamAppList, filterGameApps, loadAppListSnapshot, saveAppListSnapshot };
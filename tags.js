@@ -0,0 +1,40 @@
+// Categories a game belongs to, for practice games filtered by ?tag= and for daily
+// puzzles themed by weekday ("retro Monday"). A game's tags are:
+//   - the tags set on it in the content file or admin page ("aaa", "retro", "co-op")
+//   - its genres ("Indie", "Free to Play" -> "indie", "free-to-play")
+//   - the decade of its release year ("1990s")
+// Tags are compared in their normalized form: lowercase words joined by dashes.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Selects a games row's own tags as comma-separated text (alias the table as `games`)
+const GAME_TAGS_SQL = "(SELECT GROUP_CONCAT(t.tag) FROM game_tags t WHERE t.game_id = games.id) AS tags";
+
+function normalizeTag(tag) {
+    return typeof tag === 'string' ? tag.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') : '';
+}
+
+function isValidTagList(tags) {
+    return Array.isArray(tags) && tags.every(tag => normalizeTag(tag) !== '');
+}
+
+// Every tag of a games row selected with GAME_TAGS_SQL, genres and release_year
+function gameTags(row) {
+    const tags = new Set(row.tags ? row.tags.split(',') : []);
+    if (row.genres) row.genres.split(',').forEach(genre => tags.add(normalizeTag(genre)));
+    if (row.release_year) tags.add(`${Math.floor(row.release_year / 10) * 10}s`);
+    tags.delete('');
+    return tags;
+}
+
+function filterByTag(rows, tag) {
+    const wanted = normalizeTag(tag);
+    return rows.filter(row => gameTags(row).has(wanted));
+}
+
+// "yyyy-MM-dd" -> "monday"
+function weekdayOfDate(dateStr) {
+    return WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+}
+
+module.exports = { WEEKDAYS, GAME_TAGS_SQL, normalizeTag, isValidTagList, gameTags, filterByTag, weekdayOfDate };